@@ -10,7 +10,8 @@
 
 const express = require('express');
 const cors = require('cors');
-const { PlayPathSDK } = require('../playpath-sdk.js');
+const path = require('path');
+const { PlayPathSDK, FileStorageAdapter } = require('../playpath-sdk.js');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,11 +24,31 @@ app.use(express.static('public'));
 // Initialize PlayPath SDK
 const playPathSDK = new PlayPathSDK({
     baseUrl: process.env.PLAYPATH_BASE_URL || 'http://localhost:3000',
-    apiKey: process.env.PLAYPATH_API_KEY || 'your-api-key-here'
+    apiKey: process.env.PLAYPATH_API_KEY || 'your-api-key-here',
+    // Persist chat sessions to disk so they survive restarts
+    // (in production, implement get/set/delete on top of Redis or a database)
+    sessionStore: new FileStorageAdapter(
+        process.env.PLAYPATH_SESSION_FILE || path.join(__dirname, 'chat-sessions.json')
+    )
 });
 
-// Store active chat sessions (in production, use Redis or database)
-const chatSessions = new Map();
+// Requests that load, change and save a session run one at a time per session
+// ID; otherwise two concurrent messages would each save their own copy and one
+// exchange would be lost. This only covers a single server process.
+const sessionQueues = new Map();
+
+function withSessionLock(sessionId, task) {
+    const previous = sessionQueues.get(sessionId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const tail = current.catch(() => {});
+    sessionQueues.set(sessionId, tail);
+    tail.then(() => {
+        if (sessionQueues.get(sessionId) === tail) {
+            sessionQueues.delete(sessionId);
+        }
+    });
+    return current;
+}
 
 // Routes
 
@@ -37,7 +58,7 @@ app.get('/health', (req, res) => {
 });
 
 // Start a new chat session
-app.post('/api/chat/start', (req, res) => {
+app.post('/api/chat/start', async (req, res) => {
     const { sessionId, systemPrompt } = req.body;
     
     if (!sessionId) {
@@ -45,8 +66,8 @@ app.post('/api/chat/start', (req, res) => {
     }
 
     try {
-        const chatSession = playPathSDK.createChatSession(systemPrompt || null);
-        chatSessions.set(sessionId, chatSession);
+        const chatSession = playPathSDK.createChatSession(systemPrompt || null, { id: sessionId });
+        await chatSession.save();
         
         res.json({ 
             message: 'Chat session started successfully',
@@ -65,18 +86,20 @@ app.post('/api/chat/message', async (req, res) => {
         return res.status(400).json({ error: 'sessionId and message are required' });
     }
 
-    const chatSession = chatSessions.get(sessionId);
-    if (!chatSession) {
-        return res.status(404).json({ error: 'Chat session not found' });
-    }
-
     try {
-        const response = await chatSession.sendMessage(message);
-        res.json({
-            reply: response.reply,
-            usage: response.usage,
-            limit: response.limit,
-            sessionId: sessionId
+        await withSessionLock(sessionId, async () => {
+            const chatSession = await playPathSDK.loadChatSession(sessionId);
+            if (!chatSession) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+
+            const response = await chatSession.sendMessage(message);
+            res.json({
+                reply: response.reply,
+                usage: response.usage,
+                limit: response.limit,
+                sessionId: sessionId
+            });
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -84,42 +107,58 @@ app.post('/api/chat/message', async (req, res) => {
 });
 
 // Get chat history
-app.get('/api/chat/history/:sessionId', (req, res) => {
+app.get('/api/chat/history/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
-    const chatSession = chatSessions.get(sessionId);
-    if (!chatSession) {
-        return res.status(404).json({ error: 'Chat session not found' });
-    }
+    try {
+        const chatSession = await playPathSDK.loadChatSession(sessionId);
+        if (!chatSession) {
+            return res.status(404).json({ error: 'Chat session not found' });
+        }
 
-    res.json({
-        history: chatSession.getHistory(),
-        sessionId: sessionId
-    });
+        res.json({
+            history: chatSession.getHistory(),
+            sessionId: sessionId
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // Clear chat history
-app.delete('/api/chat/history/:sessionId', (req, res) => {
+app.delete('/api/chat/history/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
-    const chatSession = chatSessions.get(sessionId);
-    if (!chatSession) {
-        return res.status(404).json({ error: 'Chat session not found' });
-    }
+    try {
+        await withSessionLock(sessionId, async () => {
+            const chatSession = await playPathSDK.loadChatSession(sessionId);
+            if (!chatSession) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
 
-    chatSession.clearHistory();
-    res.json({ message: 'Chat history cleared' });
+            await chatSession.clearHistory();
+            res.json({ message: 'Chat history cleared' });
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // End chat session
-app.delete('/api/chat/:sessionId', (req, res) => {
+app.delete('/api/chat/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     
-    if (chatSessions.has(sessionId)) {
-        chatSessions.delete(sessionId);
-        res.json({ message: 'Chat session ended' });
-    } else {
-        res.status(404).json({ error: 'Chat session not found' });
+    try {
+        await withSessionLock(sessionId, async () => {
+            if (await playPathSDK.loadChatSession(sessionId)) {
+                await playPathSDK.deleteChatSession(sessionId);
+                res.json({ message: 'Chat session ended' });
+            } else {
+                res.status(404).json({ error: 'Chat session not found' });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
@@ -141,7 +180,14 @@ app.post('/api/rag/chat', async (req, res) => {
 // Get all items
 app.get('/api/items', async (req, res) => {
     try {
-        const items = await playPathSDK.getItems();
+        // Forward filters and pagination, e.g. /api/items?tags=defense,u12&limit=20
+        const { tags, limit, offset, ...filters } = req.query;
+        const items = await playPathSDK.getItems({
+            ...filters,
+            tags: tags ? tags.split(',') : undefined,
+            limit: limit ? Number(limit) : undefined,
+            offset: offset ? Number(offset) : undefined
+        });
         res.json(items);
     } catch (error) {
         res.status(error.status || 500).json({ error: error.message });
@@ -2,10 +2,267 @@
  * TypeScript definitions for PlayPath SDK
  */
 
+export interface RetryInfo {
+  attempt: number;
+  delay: number;
+  method: string;
+  url: string;
+  status: number | null;
+  error: Error | null;
+}
+
+export interface RetryPolicy {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  retryOn?: number[];
+  onRetry?: ((info: RetryInfo) => void) | null;
+}
+
 export interface PlayPathConfig {
   baseUrl?: string;
   apiKey?: string;
+  /** Credentials; takes precedence over apiKey */
+  auth?: AuthConfig;
   headers?: Record<string, string>;
+  retry?: RetryPolicy | boolean;
+  /** Validate method inputs before sending (default true); false passes them through as-is */
+  validate?: boolean;
+  /** Per-attempt request timeout in milliseconds (0 disables) */
+  timeout?: number;
+  /** Storage adapter used to persist chat sessions */
+  sessionStore?: StorageAdapter;
+  /** fetch implementation to use instead of the global fetch, e.g. a fake in tests */
+  fetch?: FetchFunction;
+  /**
+   * Node.js only: http.Agent, or a function returning one for a URL. Setting
+   * an agent sends requests through the Node.js http/https transport.
+   */
+  agent?: any;
+  /** Keep connections alive in the Node.js http/https transport (default true) */
+  keepAlive?: boolean;
+  /** Cache item reads (off by default) */
+  cache?: boolean | ResponseCacheOptions | ResponseCache;
+  /** Share one request between concurrent identical item reads (default true) */
+  dedupe?: boolean;
+  /** Quota tracking thresholds and local enforcement */
+  quota?: QuotaOptions;
+  /** Client-side throttle (off by default); pass a RateLimiter to share one between clients */
+  rateLimit?: RateLimiterOptions | RateLimiter;
+  /** Middleware added with use() when the client is created */
+  middleware?: Middleware[];
+  /** Called before every attempt, after the context is built */
+  onRequest?: (ctx: RequestContext) => void | Promise<void>;
+  /** Called after every attempt that produced a response */
+  onResponse?: (ctx: RequestContext) => void | Promise<void>;
+  /** Called once with the final error when a request fails */
+  onError?: (error: PlayPathError, ctx: RequestContext) => void | Promise<void>;
+}
+
+export interface QuotaOptions {
+  /** Share of the limit that triggers quotaWarning (default 0.8) */
+  warningThreshold?: number;
+  /** Reject chat requests locally with RateLimitError once the limit is reached (default false) */
+  enforce?: boolean;
+}
+
+export interface Quota {
+  usage: number;
+  limit: number;
+  remaining: number;
+  /** usage / limit */
+  ratio: number;
+  /** The limit is reached and resetAt, if known, has not passed */
+  exceeded: boolean;
+  /** When the counters reset, if the API reported it */
+  resetAt: Date | null;
+  updatedAt: Date;
+}
+
+export type QuotaEvent = 'quotaWarning' | 'quotaExceeded';
+
+export class QuotaTracker {
+  constructor(options?: QuotaOptions);
+
+  readonly warningThreshold: number;
+  readonly enforce: boolean;
+
+  get(): Quota | null;
+  exceeded(): boolean;
+  /** Record counters; returns the events whose threshold was crossed */
+  update(counters: { usage: number; limit: number; resetAt?: Date | null }): QuotaEvent[];
+  reset(): void;
+}
+
+export type RequestPriority = 'high' | 'normal' | 'low';
+
+export interface RateLimiterOptions {
+  /** Requests started per second (default: unlimited) */
+  rps?: number;
+  /** Requests that may start at once after an idle period (default: rps) */
+  burst?: number;
+  /** Requests in flight at a time (default: unlimited) */
+  maxConcurrent?: number;
+}
+
+export interface RateLimiterStats {
+  /** Requests waiting for a slot */
+  queued: number;
+  queuedByPriority: Record<RequestPriority, number>;
+  /** Requests holding a slot */
+  active: number;
+  started: number;
+  /** Started requests that had to wait */
+  waited: number;
+  /** Milliseconds, over all started requests */
+  averageWait: number;
+  maxWait: number;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+
+  readonly rps: number;
+  readonly burst: number;
+  readonly maxConcurrent: number;
+
+  /** Wait for a slot; resolves with release(), to call once the request has finished */
+  acquire(priority?: RequestPriority, signal?: AbortSignal): Promise<() => void>;
+  stats(): RateLimiterStats;
+}
+
+export interface ScopedOptions {
+  /** API key, keeping the current auth scheme */
+  apiKey?: string;
+  auth?: AuthConfig;
+  baseUrl?: string;
+  /** Merged over the current headers */
+  headers?: Record<string, string>;
+  timeout?: number;
+}
+
+export interface RequestContext {
+  /** Endpoint path, e.g. /api/items */
+  readonly endpoint: string;
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body?: any;
+  /** 1 for the first attempt, increasing with each retry */
+  readonly attempt: number;
+  readonly stream: boolean;
+  readonly signal: AbortSignal | null;
+  /** Set once the request has a response */
+  response: Response | null;
+  /** Decoded body; undefined for successful streaming responses */
+  data: any;
+  /** Scratch space shared by middleware for this attempt */
+  state: Record<string, any>;
+}
+
+export type Middleware = (ctx: RequestContext, next: () => Promise<void>) => Promise<void> | void;
+
+export interface RequestMetric {
+  method: string;
+  /** URL with credentials redacted */
+  url: string;
+  endpoint: string;
+  status: number | null;
+  attempt: number;
+  /** Milliseconds; for streams, until headers arrived */
+  duration: number;
+  error: Error | null;
+}
+
+export interface LoggingMiddlewareOptions {
+  /** Defaults to console */
+  logger?: { info(...args: any[]): void; error(...args: any[]): void };
+  /** Also log request headers, with credentials redacted */
+  headers?: boolean;
+}
+
+/** Log each attempt with its status and duration, redacting API keys */
+export function createLoggingMiddleware(options?: LoggingMiddlewareOptions): Middleware;
+/** Report the duration of each attempt to onMetric */
+export function createTimingMiddleware(onMetric: (metric: RequestMetric) => void): Middleware;
+
+/** Result of a token provider: the token, or the token with its expiry */
+export type TokenResult = string | {
+  token: string;
+  /** Date or epoch milliseconds */
+  expiresAt?: Date | number;
+  /** Lifetime in seconds */
+  expiresIn?: number;
+};
+
+export type TokenProvider = () => TokenResult | Promise<TokenResult>;
+
+/** 'api-key' sends X-Api-Key; 'bearer' sends Authorization: Bearer */
+export type AuthScheme = 'api-key' | 'bearer';
+
+export type AuthConfig =
+  | string
+  | TokenProvider
+  | { key: string; scheme?: AuthScheme }
+  | { provider: TokenProvider; scheme?: AuthScheme };
+
+/** A fetch-compatible function; the SDK uses ok, status, headers, text() and body of the response */
+export type FetchFunction = (url: string, init: {
+  method: string;
+  headers: Record<string, string>;
+  body?: any;
+  signal?: AbortSignal | null;
+}) => Promise<Response>;
+
+export interface RequestOptions {
+  /** Signal to cancel the request */
+  signal?: AbortSignal;
+  /** Request timeout in milliseconds, overriding the config timeout */
+  timeout?: number;
+  /**
+   * Queue priority when config.rateLimit is set. Defaults to 'high' for chat,
+   * 'low' for item writes and 'normal' for everything else.
+   */
+  priority?: RequestPriority;
+}
+
+export interface UpdateOptions extends RequestOptions {
+  /**
+   * ETag or version the update is based on; sent as If-Match. A weak ETag
+   * (W/"...") never matches, so it is only accepted with ifUnmodifiedSince
+   */
+  expectedVersion?: string | number;
+  /** Time of the copy the update is based on, usually updated_at; sent as If-Unmodified-Since */
+  ifUnmodifiedSince?: string | Date | number;
+}
+
+export interface PatchOptions extends RequestOptions {
+  /** Writes to try before giving up (default 3) */
+  maxAttempts?: number;
+}
+
+export interface CachedRequestOptions extends RequestOptions {
+  /** Set to false to bypass the response cache for this call */
+  cache?: boolean;
+}
+
+export interface FullResponseOptions extends RequestOptions {
+  /** Resolve with { data, status, headers } instead of just the body */
+  fullResponse: true;
+}
+
+export interface FullResponse<T> {
+  data: T;
+  status: number;
+  /** Response headers with lower-case names */
+  headers: Record<string, string>;
+}
+
+export interface RagChatOptions extends RequestOptions {
+  /** Retry transient failures; chat requests are not retried unless this is true */
+  retry?: boolean;
 }
 
 export interface ChatMessage {
@@ -13,39 +270,478 @@ export interface ChatMessage {
   text: string;
 }
 
+/** Restricts the knowledge-base items a chat answer may draw on */
+export interface RetrievalFilter {
+  /** Only items with at least one of these tags */
+  includeTags?: string[];
+  /** Skip items with any of these tags */
+  excludeTags?: string[];
+  /** Only these items */
+  itemIds?: Array<string | number>;
+  /** Only items in these states */
+  states?: ItemState | ItemState[];
+  /** Number of items retrieved for the answer */
+  topK?: number;
+}
+
+export interface SearchOptions extends RequestOptions {
+  /** Maximum number of results (default 10) */
+  topK?: number;
+  /** Only items with all of these tags */
+  tags?: string[];
+  /** Leave out results scoring below this */
+  minScore?: number;
+  /** Rank locally with BM25 when the API has no search endpoint (default true) */
+  fallback?: boolean;
+}
+
+export interface SearchResult {
+  item: StoredItem;
+  /** Relevance reported by the API, or the local BM25 score relative to the best match */
+  score: number | null;
+}
+
 export interface RagChatParams {
   message: string;
   history?: ChatMessage[];
   system_prompt?: string;
+  filter?: RetrievalFilter;
+}
+
+/** A knowledge-base item a chat reply is based on */
+export interface RagSource {
+  /** Item ID, or null if the API did not report one */
+  id: string | number | null;
+  title: string | null;
+  url: string | null;
+  /** The passage of the item the reply drew on */
+  snippet: string | null;
+  /** Retrieval score, higher is more relevant */
+  score: number | null;
+}
+
+export interface ResolvedRagSource extends RagSource {
+  /** The full item, or null if it has no ID or no longer exists */
+  item: StoredItem | null;
 }
 
 export interface RagChatResponse {
   reply: string;
   usage?: number;
   limit?: number;
+  /** Sources cited by the reply, in the order the API listed them; empty if none were reported */
+  sources: RagSource[];
+}
+
+export type RagChatStreamEvent =
+  | { type: 'token'; token: string }
+  | { type: 'done'; response: RagChatResponse }
+  | { type: 'error'; error: PlayPathError };
+
+export class RagChatStream implements AsyncIterable<RagChatStreamEvent> {
+  /** Cancel the stream */
+  abort(): void;
+  /** Resolves with the aggregated reply once the stream finishes */
+  finalResponse(): Promise<RagChatResponse>;
+  [Symbol.asyncIterator](): AsyncIterator<RagChatStreamEvent>;
 }
 
+export interface RagServerEvent {
+  /** SSE event name; 'message' for unnamed events */
+  type: string;
+  data: string;
+  lastEventId: string;
+}
+
+export interface RagStreamErrorEvent {
+  type: 'error';
+  error: PlayPathError;
+}
+
+/** EventSource-compatible stream returned by ragChatStream; does not reconnect */
+export class RagEventSource {
+  static readonly CONNECTING: 0;
+  static readonly OPEN: 1;
+  static readonly CLOSED: 2;
+
+  readonly readyState: 0 | 1 | 2;
+  onopen: ((event: { type: 'open' }) => void) | null;
+  onmessage: ((event: RagServerEvent) => void) | null;
+  onerror: ((event: RagStreamErrorEvent) => void) | null;
+
+  addEventListener(type: string, listener: (event: any) => void): void;
+  removeEventListener(type: string, listener: (event: any) => void): void;
+  close(): void;
+}
+
+export type ItemState = string;
+
 export interface Item {
   id?: number;
   title?: string;
   url?: string;
   text?: string;
   tags?: string[];
-  state?: string;
+  state?: ItemState;
   created_at?: string;
   updated_at?: string;
   user_id?: number;
 }
 
-export interface ItemWithNeighbors extends Item {
-  neighbors?: Item[];
+/** An item as returned by the API, which always includes its ID */
+export interface StoredItem extends Item {
+  id: number;
+}
+
+export interface ItemWithNeighbors extends StoredItem {
+  neighbors?: StoredItem[];
+}
+
+/** Fields accepted by ItemListParams.sort, prefixed with '-' for descending order */
+export type ItemSortField = 'id' | 'title' | 'created_at' | 'updated_at';
+export type ItemSort = ItemSortField | `-${ItemSortField}`;
+
+export interface ItemListParams {
+  /** Maximum number of items per page */
+  limit?: number;
+  /** Cursor from a previous page's nextCursor */
+  cursor?: string;
+  /** Number of items to skip (alternative to cursor) */
+  offset?: number;
+  /** Only items with all of these tags */
+  tags?: string[];
+  /** Only items in this state, or any of these states */
+  state?: ItemState | ItemState[];
+  /** Free-text filter on title and text */
+  q?: string;
+  sort?: ItemSort;
+}
+
+export interface ItemPage {
+  items: StoredItem[];
+  /** Cursor for the next page, when the API paginates by cursor */
+  nextCursor: string | null;
+  /** Offset of the next page, when the API paginates by offset */
+  nextOffset: number | null;
+  /** Total number of matching items, when reported by the API */
+  total: number | null;
+}
+
+export interface SessionMessageOptions extends RequestOptions {
+  /** Filter fields overriding the session's default for this message; null sends no filter */
+  filter?: RetrievalFilter | null;
+}
+
+export interface StreamMessageOptions extends SessionMessageOptions {
+  /** Called for each token with the reply received so far */
+  onToken?: (token: string, partialReply: string) => void;
+}
+
+export interface SerializedChatSession {
+  version: number;
+  id: string;
+  systemPrompt: string | null;
+  /** Default retrieval filter, if the session has one */
+  filter?: RetrievalFilter;
+  history: ChatMessage[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface StorageAdapter {
+  get(id: string): SerializedChatSession | null | Promise<SerializedChatSession | null>;
+  set(id: string, data: SerializedChatSession): void | Promise<void>;
+  delete(id: string): void | Promise<void>;
+}
+
+export type TrimStrategy = 'drop-oldest' | 'sliding-window' | 'summarize';
+
+export interface TrimOptions {
+  strategy?: TrimStrategy;
+  /** Maximum number of history entries sent */
+  maxTurns?: number;
+  /** Approximate character budget, including the message and system prompt */
+  maxChars?: number;
+  /** Approximate token budget (about 4 characters per token) */
+  maxTokens?: number;
+  /** Leading entries always kept by the sliding-window strategy (default 2) */
+  keepFirst?: number;
+  /** Instruction used by the summarize strategy */
+  summaryPrompt?: string;
+}
+
+export interface TrimResult {
+  history: ChatMessage[];
+  dropped: ChatMessage[];
+}
+
+export interface ChatSessionOptions {
+  /** Session ID, generated when omitted */
+  id?: string;
+  /** Initial chat history */
+  history?: ChatMessage[];
+  /** Storage adapter, defaults to the SDK's sessionStore */
+  store?: StorageAdapter;
+  /** Limits applied to the history sent with each message */
+  trim?: TrimOptions;
+  /** Called with the final chat parameters before each request */
+  onBeforeSend?: (params: RagChatParams) => void;
+  /** Default retrieval filter for every message */
+  filter?: RetrievalFilter | null;
+}
+
+export interface CacheEntry {
+  response: FullResponse<any>;
+  /** Epoch milliseconds after which the entry is revalidated */
+  expiresAt: number;
+}
+
+export interface CacheStore {
+  get(key: string): CacheEntry | null | undefined | Promise<CacheEntry | null | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+  /** Reported by stats() when present */
+  readonly size?: number;
+  readonly evictions?: number;
+}
+
+export class MemoryCacheStore implements CacheStore {
+  readonly maxEntries: number;
+  readonly evictions: number;
+  readonly size: number;
+
+  constructor(options?: { maxEntries?: number });
+  get(key: string): Promise<CacheEntry | null>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface ResponseCacheOptions {
+  /** Milliseconds a response is served without revalidation (default 60000) */
+  ttl?: number;
+  /** Size of the default memory store (default 500) */
+  maxEntries?: number;
+  store?: CacheStore;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  /** Stale entries confirmed unchanged with a 304 */
+  revalidations: number;
+  invalidations: number;
+  /** (hits + revalidations) / lookups */
+  hitRate: number;
+  size: number | null;
+  evictions: number | null;
+}
+
+export class ResponseCache {
+  readonly ttl: number;
+  readonly store: CacheStore;
+
+  constructor(options?: ResponseCacheOptions);
+  /** Forget cached listings and, if given, the cached copies of one item */
+  invalidate(itemId?: string | number): void;
+  clear(): Promise<void>;
+  stats(): CacheStats;
+}
+
+export class MemoryStorageAdapter implements StorageAdapter {
+  get(id: string): Promise<SerializedChatSession | null>;
+  set(id: string, data: SerializedChatSession): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export class LocalStorageAdapter implements StorageAdapter {
+  storage: Storage;
+  prefix: string;
+
+  constructor(options?: { storage?: Storage; prefix?: string });
+  get(id: string): Promise<SerializedChatSession | null>;
+  set(id: string, data: SerializedChatSession): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+/** Node.js only */
+export class FileStorageAdapter implements StorageAdapter {
+  filePath: string;
+
+  constructor(filePath: string);
+  get(id: string): Promise<SerializedChatSession | null>;
+  set(id: string, data: SerializedChatSession): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export interface BulkProgress {
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+}
+
+export interface BulkOptions extends RequestOptions {
+  /** Maximum requests in flight (default 5) */
+  concurrency?: number;
+  /** Called after each input completes */
+  onProgress?: (progress: BulkProgress) => void;
+}
+
+export interface ImportOptions extends BulkOptions {
+  /** 'upsert' keeps IDs, updating existing items and creating missing ones; 'create' always creates new items */
+  mode?: 'upsert' | 'create';
+}
+
+export interface BulkResult<TInput, TResult> {
+  total: number;
+  succeeded: Array<{ index: number; input: TInput; result: TResult }>;
+  failed: Array<{ index: number; input: TInput; error: PlayPathError }>;
+}
+
+export interface ChunkOptions {
+  /** Detected from the content when omitted */
+  format?: 'text' | 'markdown' | 'html';
+  /** Target chunk size in characters (default 1500) */
+  chunkSize?: number;
+  /** Characters repeated from the previous chunk (default 200) */
+  chunkOverlap?: number;
+}
+
+export interface DocumentChunk {
+  index: number;
+  /** Nearest heading above the chunk, if any */
+  heading: string | null;
+  text: string;
+}
+
+export interface IngestOptions extends ChunkOptions, BulkOptions {
+  /** Source title, used in item titles */
+  title?: string;
+  /** Source URL, set on every item */
+  url?: string;
+  /** Identifies the source for re-ingestion; defaults to url or title */
+  sourceId?: string;
+  /** Extra tags for every item */
+  tags?: string[];
+  /** Delete the source's previous chunks once the new ones are created */
+  replace?: boolean;
+}
+
+export interface IngestResult {
+  /** Tag shared by every chunk of the source, `source:<sourceId>` */
+  sourceTag: string;
+  chunks: number;
+  created: BulkResult<Item, StoredItem>;
+  /** Result of removing the previous chunks, or null if nothing was removed */
+  deleted: BulkResult<string | number, DeleteResponse | null> | null;
+}
+
+export interface TraverseOptions extends RequestOptions {
+  /** Neighbor hops to follow from the start item (default: 2) */
+  depth?: number;
+  /** Stop once this many items are collected (default: 100) */
+  maxNodes?: number;
+  /** Return false to skip an item; skipped items are not expanded */
+  filter?: (item: StoredItem, context: { depth: number; parent: ItemWithNeighbors }) => boolean;
+  /** Maximum requests in flight (default: 5) */
+  concurrency?: number;
+}
+
+export interface GraphNode {
+  item: ItemWithNeighbors;
+  /** Hops from the start item */
+  depth: number;
+}
+
+export interface GraphEdge {
+  from: number;
+  to: number;
+  /** Similarity score reported for the neighbor, if any */
+  score: number | null;
+}
+
+export interface ItemGraphJSON {
+  root: string | number;
+  nodes: Array<{ id: number; depth: number; item: ItemWithNeighbors }>;
+  edges: GraphEdge[];
+  truncated: boolean;
+}
+
+export class ItemGraph {
+  constructor(rootId: string | number);
+
+  readonly rootId: string | number;
+  /** Keyed by item ID as a string */
+  readonly nodes: Map<string, GraphNode>;
+  readonly edges: GraphEdge[];
+  /** Items that could not be fetched; they appear in the graph without their neighbors */
+  readonly errors: Array<{ id: number; error: PlayPathError }>;
+  /** True when maxNodes cut the traversal short */
+  truncated: boolean;
+  readonly size: number;
+
+  has(id: string | number): boolean;
+  get(id: string | number): ItemWithNeighbors | null;
+  neighbors(id: string | number): number[];
+  adjacencyList(): Record<string, number[]>;
+  /** Items along the shortest chain of neighbor links, or null if unreachable */
+  shortestPath(fromId: string | number, toId: string | number): ItemWithNeighbors[] | null;
+  toJSON(): ItemGraphJSON;
+  /** Graphviz DOT source; labels default to item titles */
+  toDOT(options?: { label?: (item: ItemWithNeighbors) => string }): string;
+}
+
+export class PlayPathItems {
+  constructor(sdk: PlayPathSDK);
+
+  bulkCreate(items: Item[], options?: BulkOptions): Promise<BulkResult<Item, StoredItem>>;
+  bulkUpsert(items: Item[], options?: BulkOptions): Promise<BulkResult<Item, StoredItem>>;
+  bulkDelete(ids: Array<string | number>, options?: BulkOptions): Promise<BulkResult<string | number, DeleteResponse | null>>;
+  /** Split a document into chunks without creating any items */
+  chunk(content: string, options?: ChunkOptions): DocumentChunk[];
+  /** Split a document into chunks and create one item per chunk */
+  ingest(content: string, options?: IngestOptions): Promise<IngestResult>;
+  /** Yields one JSON line per item, each ending in a newline */
+  exportItems(params?: ItemListParams, options?: RequestOptions): AsyncGenerator<string, void, undefined>;
+  /**
+   * Imports NDJSON text or chunks of it in batches as it is read; index in the
+   * result is the zero-based line number. Throws PlayPathValidationError for
+   * an unknown mode
+   */
+  importItems(
+    source: string | Iterable<string | Uint8Array> | AsyncIterable<string | Uint8Array>,
+    options?: ImportOptions
+  ): Promise<BulkResult<string, StoredItem>>;
+  /** Walk the neighbor graph breadth-first from one item */
+  traverse(startId: string | number, options?: TraverseOptions): Promise<ItemGraph>;
 }
 
 export interface ChatSession {
-  sendMessage(message: string): Promise<RagChatResponse>;
+  readonly id: string;
+  sendMessage(message: string, options?: SessionMessageOptions): Promise<RagChatResponse>;
+  /**
+   * Stream a reply and resolve with its full text. History is only updated
+   * once the stream completes successfully.
+   */
+  streamMessage(message: string, options?: StreamMessageOptions): Promise<string>;
+  /**
+   * Preview the parameters sendMessage would send, after trimming. Turns the
+   * summarize strategy would condense are shown as dropped.
+   */
+  preparePayload(message: string, options?: { filter?: RetrievalFilter | null }): RagChatParams;
   getHistory(): ChatMessage[];
-  clearHistory(): void;
-  setSystemPrompt(prompt: string): void;
+  /** Clear history; resolves once the change is persisted */
+  clearHistory(): Promise<void>;
+  /** Change the system prompt; resolves once the change is persisted */
+  setSystemPrompt(prompt: string): Promise<void>;
+  getFilter(): RetrievalFilter | null;
+  /** Change the default retrieval filter; resolves once the change is persisted */
+  setFilter(filter: RetrievalFilter | null): Promise<void>;
+  toJSON(): SerializedChatSession;
+  /** Write the session to its storage adapter */
+  save(): Promise<void>;
 }
 
 export interface DeleteResponse {
@@ -57,41 +753,201 @@ export interface ErrorResponse {
   errors?: string[];
 }
 
+export interface ErrorDetails {
+  /** Response headers, when a response was received */
+  headers?: Record<string, string>;
+  /** HTTP method of the failed request */
+  method?: string | null;
+  /** Request URL, with credentials redacted */
+  url?: string | null;
+  /** Request ID reported by the server (X-Request-Id) */
+  requestId?: string | null;
+  /** The underlying error, when the failure was not an error response */
+  cause?: unknown;
+}
+
 export class PlayPathError extends Error {
   status: number | null;
   data: any;
+  method: string | null;
+  url: string | null;
+  requestId: string | null;
+  /** Response headers with lower-case names, when a response was received */
+  headers: Record<string, string> | null;
+  /** The underlying error, when the failure was not an error response */
+  cause?: unknown;
   
-  constructor(message: string, status?: number | null, data?: any);
+  constructor(message: string, status?: number | null, data?: any, details?: ErrorDetails);
+}
+
+/** 401 and 403 responses */
+export class AuthenticationError extends PlayPathError {}
+
+/** 404 responses */
+export class NotFoundError extends PlayPathError {}
+
+/** 409 or 412: the item changed since the copy an update was based on */
+export class ConflictError extends PlayPathError {
+  /** The server's current copy, when known */
+  current: StoredItem | null;
+  /** Fields changed by both sides (set by patchItem) */
+  conflicts: string[];
+
+  constructor(message: string, status: number, data?: any, details?: ErrorDetails & { current?: StoredItem | null; conflicts?: string[] });
+}
+
+/** 429 responses */
+export class RateLimitError extends PlayPathError {
+  /** Delay requested by the server in milliseconds, if any */
+  retryAfter: number | null;
+  usage: number | null;
+  limit: number | null;
+
+  constructor(message: string, status: number, data?: any, details?: ErrorDetails & { retryAfter?: number | null });
+}
+
+/** 422 responses, or 400 responses with an errors list */
+export class ValidationError extends PlayPathError {
+  errors: string[];
+}
+
+/** Thrown when a method input fails client-side validation */
+export class PlayPathValidationError extends ValidationError {
+  status: 400;
+  data: ErrorResponse;
+
+  constructor(errors: string[]);
+}
+
+/** The server could not be reached or the connection failed */
+export class NetworkError extends PlayPathError {
+  constructor(message: string, cause?: any, details?: ErrorDetails);
+}
+
+/** A response body could not be decoded */
+export class ResponseParseError extends PlayPathError {
+  /** The raw response body */
+  data: string | null;
+  /** The underlying parse error */
+  cause: Error | null;
+}
+
+export class PlayPathAbortError extends PlayPathError {
+  constructor(message?: string, details?: ErrorDetails);
+}
+
+export class PlayPathTimeoutError extends PlayPathError {
+  timeout: number;
+
+  constructor(timeout: number, details?: ErrorDetails);
 }
 
 export class PlayPathSDK {
   baseUrl: string;
   apiKey: string;
-  headers: Record<string, string>;
+  readonly headers: Readonly<Record<string, string>>;
+  readonly retry: Readonly<Required<RetryPolicy>>;
+  timeout: number;
+  sessionStore: StorageAdapter | null;
+  validate: boolean;
+  /** Current credentials */
+  readonly auth: { readonly scheme: AuthScheme; readonly key: string | null; readonly provider: TokenProvider | null };
+  fetch: FetchFunction | null;
+  agent: any;
+  keepAlive: boolean;
+  /** Response cache for item reads, or null when caching is off */
+  readonly cache: ResponseCache | null;
+  readonly dedupe: boolean;
+  /** Quota of this client's credentials; scoped clients with other credentials get their own */
+  readonly quota: QuotaTracker;
+  /** Client-side throttle, or null when config.rateLimit is not set; shared with scoped clients */
+  readonly limiter: RateLimiter | null;
+  hooks: {
+    onRequest: PlayPathConfig['onRequest'] | null;
+    onResponse: PlayPathConfig['onResponse'] | null;
+    onError: PlayPathConfig['onError'] | null;
+  };
+  readonly middleware: Middleware[];
+  readonly items: PlayPathItems;
 
   constructor(config?: PlayPathConfig);
 
   setApiKey(apiKey: string): void;
   setBaseUrl(baseUrl: string): void;
+  /** Replace the credentials, e.g. to rotate keys or switch to a token provider */
+  setAuth(auth: AuthConfig): void;
+  /**
+   * Create an immutable client with other credentials or settings. It shares
+   * transport, middleware, hooks, retry policy and session store with this client.
+   */
+  withOptions(options: ScopedOptions): PlayPathSDK;
+  /** Add a middleware to the request pipeline; runs once per attempt */
+  use(fn: Middleware): this;
+  /** Listen for quota events; listeners receive the current quota */
+  on(event: QuotaEvent, listener: (quota: Quota) => void): this;
+  off(event: QuotaEvent, listener: (quota: Quota) => void): this;
+  /** Latest quota reported in chat responses or rate-limit headers, or null if none yet */
+  getQuota(): Quota | null;
+  /** Forget the tracked quota so enforced chat requests are sent again */
+  resetQuota(): void;
 
   // RAG API Methods
-  ragChat(params: RagChatParams): Promise<RagChatResponse>;
+  ragChat(params: RagChatParams, options: RagChatOptions & FullResponseOptions): Promise<FullResponse<RagChatResponse>>;
+  ragChat(params: RagChatParams, options?: RagChatOptions): Promise<RagChatResponse>;
   /**
    * Stream chat messages via Server-Sent Events (SSE)
    * @param params Chat parameters including message and optional history and system prompt
+   * @returns An EventSource-compatible object; credentials are sent in headers, not the URL
    */
-  ragChatStream(params: RagChatParams): EventSource;
+  ragChatStream(params: RagChatParams, options?: RequestOptions): RagEventSource;
+  /**
+   * Stream a chat reply over fetch, sending credentials in headers.
+   * Works in browsers and Node.js.
+   */
+  streamRagChat(params: RagChatParams, options?: RagChatOptions): RagChatStream;
+
+  /** Fetch the items a chat response cites with getItem; missing items resolve as null */
+  resolveSources(
+    response: { sources?: RagSource[] },
+    options?: RequestOptions & { concurrency?: number }
+  ): Promise<ResolvedRagSource[]>;
 
   // Items API Methods
-  getItems(): Promise<Item[]>;
-  getItem(id: string | number): Promise<ItemWithNeighbors>;
-  createItem(item: Item): Promise<Item>;
-  updateItem(id: string | number, item: Partial<Item>): Promise<Item>;
-  deleteItem(id: string | number): Promise<DeleteResponse>;
+  getItems(params: ItemListParams, options: CachedRequestOptions & FullResponseOptions): Promise<FullResponse<StoredItem[]>>;
+  getItems(params?: ItemListParams, options?: CachedRequestOptions): Promise<StoredItem[]>;
+  getItemsPage(params: ItemListParams, options: CachedRequestOptions & FullResponseOptions): Promise<FullResponse<ItemPage>>;
+  getItemsPage(params?: ItemListParams, options?: CachedRequestOptions): Promise<ItemPage>;
+  iterateItems(params?: ItemListParams, options?: RequestOptions): AsyncGenerator<StoredItem, void, undefined>;
+  getItem(id: string | number, options: CachedRequestOptions & FullResponseOptions): Promise<FullResponse<ItemWithNeighbors>>;
+  getItem(id: string | number, options?: CachedRequestOptions): Promise<ItemWithNeighbors>;
+  /**
+   * Look up several items. Calls within the same tick are combined into batch
+   * requests; results are in the order of ids, null where an item does not exist.
+   */
+  getItemsByIds(ids: Array<string | number>, options?: { signal?: AbortSignal }): Promise<Array<StoredItem | null>>;
+  /** Items most relevant to a query, best match first, without generating a chat reply */
+  searchItems(query: string, options?: SearchOptions): Promise<SearchResult[]>;
+  createItem(item: Item, options: FullResponseOptions): Promise<FullResponse<StoredItem>>;
+  createItem(item: Item, options?: RequestOptions): Promise<StoredItem>;
+  updateItem(id: string | number, item: Partial<Item>, options: UpdateOptions & FullResponseOptions): Promise<FullResponse<StoredItem>>;
+  updateItem(id: string | number, item: Partial<Item>, options?: UpdateOptions): Promise<StoredItem>;
+  /**
+   * Read-modify-write that re-applies the changes on top of concurrent edits
+   * to other fields; throws ConflictError when the same fields were changed,
+   * and PlayPathError when the item has no strong ETag, version or updated_at
+   */
+  patchItem(id: string | number, changes: Partial<Item>, options?: PatchOptions): Promise<StoredItem>;
+  /** Resolves with null when the API responds with an empty body (e.g. 204) */
+  deleteItem(id: string | number, options: FullResponseOptions): Promise<FullResponse<DeleteResponse | null>>;
+  deleteItem(id: string | number, options?: RequestOptions): Promise<DeleteResponse | null>;
 
   // Utility Methods
   formatChatHistory(messages: any[]): ChatMessage[];
-  createChatSession(systemPrompt?: string | null): ChatSession;
+  trimChatHistory(history: ChatMessage[], trim: TrimOptions, reserved?: string): TrimResult;
+  createChatSession(systemPrompt?: string | null, options?: ChatSessionOptions): ChatSession;
+  restoreChatSession(json: SerializedChatSession | string, options?: Omit<ChatSessionOptions, 'id' | 'history'>): ChatSession;
+  loadChatSession(id: string, options?: Omit<ChatSessionOptions, 'id' | 'history'>): Promise<ChatSession | null>;
+  deleteChatSession(id: string, options?: { store?: StorageAdapter }): Promise<void>;
 }
 
 export default PlayPathSDK;
\ No newline at end of file
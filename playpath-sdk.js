@@ -3,294 +3,4870 @@
  * Supports both browser and Node.js environments
  */
 
-class PlayPathSDK {
-  /**
-   * Initialize the PlayPath SDK
-   * @param {Object} config - Configuration object
-   * @param {string} config.baseUrl - Base URL of the PlayPath API
-   * @param {string} config.apiKey - API key for authentication
-   * @param {Object} [config.headers] - Additional headers to include in requests
-   */
-  constructor(config = {}) {
-    this.baseUrl = config.baseUrl || '';
-    this.apiKey = config.apiKey || '';
-    this.headers = {
-      'Content-Type': 'application/json',
-      ...config.headers
+(function () {
+  /**
+   * Default retry policy applied by _request
+   */
+  const DEFAULT_RETRY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    retryOn: [408, 429, 500, 502, 503, 504],
+    onRetry: null
+  };
+
+  /**
+   * HTTP methods that are safe to retry without the caller opting in
+   */
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+  /**
+   * Resolve the retry option from the constructor config into a full policy
+   * @private
+   */
+  function resolveRetryPolicy(retry) {
+    if (retry === false) {
+      return { ...DEFAULT_RETRY, maxAttempts: 1 };
+    }
+    return { ...DEFAULT_RETRY, ...(retry && typeof retry === 'object' ? retry : {}) };
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+   * @private
+   */
+  function parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+    return null;
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt (1-based), with full jitter
+   * @private
+   */
+  function computeBackoff(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    return policy.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+
+  /**
+   * Wait for the given delay; rejects early if the signal aborts
+   * @private
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new PlayPathAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new PlayPathAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Format version written by session.toJSON()
+   */
+  const SESSION_FORMAT_VERSION = 1;
+
+  /**
+   * History trimming strategies supported by chat sessions
+   */
+  const TRIM_STRATEGIES = ['drop-oldest', 'sliding-window', 'summarize'];
+
+  /**
+   * Instruction sent to ragChat when older turns are summarized
+   */
+  const DEFAULT_SUMMARY_PROMPT = 'Summarize the following coaching conversation in a short paragraph. ' +
+    'Keep any facts, names and decisions needed to continue it.';
+
+  /**
+   * Prefix of the history entry that replaces summarized turns
+   */
+  const SUMMARY_PREFIX = 'Summary of the earlier conversation: ';
+
+  /**
+   * Share of a character or token budget set aside for the summary entry
+   */
+  const SUMMARY_BUDGET_SHARE = 0.25;
+
+  /**
+   * Select the history entries that fit within the trim limits. The oldest
+   * entries are dropped first; the sliding-window strategy always keeps the
+   * first trim.keepFirst entries. `reserved` is text that shares the budget
+   * (the new message and system prompt).
+   * @private
+   */
+  function trimChatHistory(history, trim = {}, reserved = '') {
+    const {
+      strategy = 'drop-oldest',
+      maxTurns = Infinity,
+      maxChars = Infinity,
+      maxTokens = Infinity,
+      keepFirst = 2
+    } = trim;
+
+    // Tokens are approximated at 4 characters each
+    const fits = (messages) => {
+      const chars = messages.reduce((total, msg) => total + msg.text.length, reserved.length);
+      return messages.length <= maxTurns && chars <= maxChars && Math.ceil(chars / 4) <= maxTokens;
     };
-    
-    if (this.apiKey) {
-      this.headers['X-Api-Key'] = this.apiKey;
+
+    if (fits(history)) {
+      return { history: [...history], dropped: [] };
+    }
+
+    const head = strategy === 'sliding-window' ? history.slice(0, keepFirst) : [];
+    let start = head.length;
+    while (start < history.length && !fits([...head, ...history.slice(start)])) {
+      start++;
     }
+    // Don't open the window on a reply whose question was dropped
+    if (start < history.length && history[start].role === 'assistant') {
+      start++;
+    }
+
+    return {
+      history: [...head, ...history.slice(start)],
+      dropped: history.slice(head.length, start)
+    };
   }
 
   /**
-   * Set API key for authentication
-   * @param {string} apiKey - The API key
+   * Split a trim budget between the summary entry and the turns kept after
+   * it: returns the limits for the kept turns and the most characters the
+   * summary may use (Infinity without a size budget)
+   * @private
    */
-  setApiKey(apiKey) {
-    this.apiKey = apiKey;
-    this.headers['X-Api-Key'] = apiKey;
+  function summaryLimits(trim) {
+    const budget = Math.min(trim.maxChars || Infinity, (trim.maxTokens || Infinity) * 4);
+    const room = Number.isFinite(budget) ? Math.floor(budget * SUMMARY_BUDGET_SHARE) : Infinity;
+    const limits = { ...trim };
+
+    if (trim.maxTurns) {
+      limits.maxTurns = trim.maxTurns - 1;
+    }
+    if (trim.maxChars) {
+      limits.maxChars = trim.maxChars - room;
+    }
+    if (trim.maxTokens) {
+      limits.maxTokens = trim.maxTokens - Math.ceil(room / 4);
+    }
+    return { limits, room };
   }
 
   /**
-   * Set base URL for the API
-   * @param {string} baseUrl - The base URL
+   * Page size used by iterateItems when no limit is given
+   */
+  const DEFAULT_PAGE_SIZE = 100;
+
+  /**
+   * Build the query string for an items listing request
+   * @private
    */
-  setBaseUrl(baseUrl) {
-    this.baseUrl = baseUrl;
+  function buildItemsQuery(params) {
+    const query = new URLSearchParams();
+
+    ['limit', 'cursor', 'offset', 'q', 'sort'].forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        query.set(key, String(params[key]));
+      }
+    });
+    ['tags', 'state'].forEach(key => {
+      const value = Array.isArray(params[key]) ? params[key].join(',') : params[key];
+      if (value) {
+        query.set(key, value);
+      }
+    });
+
+    const search = query.toString();
+    return search ? `?${search}` : '';
   }
 
   /**
-   * Make HTTP request
+   * Normalize an items listing response, which is either a plain array or a
+   * page envelope ({ items, next_cursor, total }), into a page object
    * @private
    */
-  async _request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const config = {
-      headers: { ...this.headers, ...options.headers },
-      ...options
+  function normalizeItemsPage(data, params) {
+    if (Array.isArray(data)) {
+      // Without an envelope, a full page is the only hint that more items follow.
+      // More items than the limit means the server ignored paging and sent everything.
+      const full = params.limit && data.length === Number(params.limit);
+      return {
+        items: data,
+        nextCursor: null,
+        nextOffset: full ? (Number(params.offset) || 0) + data.length : null,
+        total: null
+      };
+    }
+
+    const items = (data && (data.items || data.data)) || [];
+    const nextCursor = (data && (data.next_cursor || data.nextCursor)) || null;
+    const total = data && typeof data.total === 'number' ? data.total : null;
+    const offset = (Number(params.offset) || 0) + items.length;
+    const more = !nextCursor && total !== null ? offset < total : false;
+
+    return {
+      items,
+      nextCursor,
+      nextOffset: more ? offset : null,
+      total
     };
+  }
 
-    try {
-      const response = await fetch(url, config);
-      const data = await response.json();
+  /**
+   * Number of requests bulk item operations run at once by default
+   */
+  const DEFAULT_BULK_CONCURRENCY = 5;
 
-      if (!response.ok) {
-        throw new PlayPathError(
-          data.error || `HTTP ${response.status}`,
-          response.status,
-          data
-        );
+  /**
+   * Run worker over every input with at most `concurrency` calls in flight,
+   * collecting successes and failures instead of stopping at the first error
+   * @private
+   */
+  async function runBulk(inputs, worker, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_BULK_CONCURRENCY);
+    const result = { total: inputs.length, succeeded: [], failed: [] };
+    let next = 0;
+
+    const report = () => {
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({
+          completed: result.succeeded.length + result.failed.length,
+          total: result.total,
+          succeeded: result.succeeded.length,
+          failed: result.failed.length
+        });
       }
+    };
 
-      return data;
-    } catch (error) {
-      if (error instanceof PlayPathError) {
-        throw error;
+    const runWorker = async () => {
+      while (next < inputs.length) {
+        const index = next++;
+        const input = inputs[index];
+        try {
+          if (options.signal && options.signal.aborted) {
+            throw new PlayPathAbortError();
+          }
+          result.succeeded.push({ index, input, result: await worker(input, index) });
+        } catch (error) {
+          result.failed.push({
+            index,
+            input,
+            error: error instanceof PlayPathError ? error : new PlayPathError(error.message, null, error)
+          });
+        }
+        report();
       }
-      throw new PlayPathError(error.message, null, error);
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, inputs.length) }, runWorker));
+
+    result.succeeded.sort((a, b) => a.index - b.index);
+    result.failed.sort((a, b) => a.index - b.index);
+    return result;
+  }
+
+  /**
+   * Import modes supported by importItems
+   */
+  const IMPORT_MODES = ['upsert', 'create'];
+
+  /**
+   * Lines importItems reads before running them as one batch
+   */
+  const IMPORT_BATCH_SIZE = 100;
+
+  /**
+   * Split newline-delimited JSON from a string or an (async) iterable of
+   * string/byte chunks into lines
+   * @private
+   */
+  async function* readLines(source) {
+    if (typeof source === 'string') {
+      yield* source.split(/\r?\n/);
+      return;
     }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of source) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      yield* lines;
+    }
+    yield buffer + decoder.decode();
   }
 
   /**
-   * RAG API Methods
+   * Default chunk size and overlap for document ingestion, in characters
+   */
+  const DEFAULT_CHUNK_SIZE = 1500;
+  const DEFAULT_CHUNK_OVERLAP = 200;
+
+  /**
+   * Convert HTML into Markdown-like text, keeping headings and block structure
+   * @private
    */
+  function htmlToText(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    return html
+      .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, text) => `\n\n${'#'.repeat(Number(level))} ${text.trim()}\n\n`)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<\/(p|div|section|article|header|footer|blockquote|pre|ul|ol|table|tr)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+          return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return entities[entity.toLowerCase()] || match;
+      })
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
 
   /**
-   * Send a chat message to the RAG API
-   * @param {Object} params - Chat parameters
-   * @param {string} params.message - The message to send (required)
-   * @param {Array} [params.history] - Chat history array
-   * @param {string} [params.system_prompt] - Custom system prompt
-   * @returns {Promise<Object>} Chat response
+   * Guess whether content is HTML, Markdown or plain text
+   * @private
    */
-  async ragChat(params) {
-    if (!params.message) {
-      throw new PlayPathError('Message is required', 400);
+  function detectFormat(content) {
+    if (/<(html|body|p|div|h[1-6]|ul|ol|li|br|article|section)\b[^>]*>/i.test(content)) {
+      return 'html';
     }
+    if (/^#{1,6}\s/m.test(content)) {
+      return 'markdown';
+    }
+    return 'text';
+  }
 
-    const payload = {
-      message: params.message
-    };
+  /**
+   * Split text that is longer than size at sentence, then word boundaries.
+   * The first piece may be given a smaller size, to fill a partly used chunk.
+   * @private
+   */
+  function splitLongText(text, size, firstSize = size) {
+    const pieces = [];
+    let rest = text;
 
-    if (params.history) {
-      payload.history = params.history;
+    while (rest.length > (pieces.length === 0 ? firstSize : size)) {
+      const limit = pieces.length === 0 ? firstSize : size;
+      const window = rest.slice(0, limit);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+      const wordEnd = window.lastIndexOf(' ');
+      const cut = sentenceEnd > limit / 2 ? sentenceEnd + 1 : wordEnd > limit / 2 ? wordEnd : limit;
+      pieces.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
     }
+    if (rest) {
+      pieces.push(rest);
+    }
+    return pieces;
+  }
 
-    if (params.system_prompt) {
-      payload.system_prompt = params.system_prompt;
+  /**
+   * The last `overlap` characters of a chunk, starting at a word boundary
+   * @private
+   */
+  function overlapTail(text, overlap) {
+    if (overlap <= 0 || text.length <= overlap) {
+      return overlap > 0 ? text : '';
+    }
+    const tail = text.slice(-overlap);
+    const space = tail.indexOf(' ');
+    return space === -1 ? tail : tail.slice(space + 1);
+  }
+
+  /**
+   * Split a document into chunks of at most chunkSize characters (plus overlap).
+   * Chunks never span a heading; within a section, paragraphs are packed
+   * together and only split when a single paragraph is too long.
+   * @private
+   */
+  function chunkDocument(content, options = {}) {
+    const format = options.format || detectFormat(content);
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const chunkOverlap = Math.min(options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+    const text = format === 'html' ? htmlToText(content) : String(content).replace(/\r\n?/g, '\n');
+
+    const sections = [];
+    let current = { heading: null, paragraphs: [] };
+    text.split(/\n{2,}/).forEach(block => {
+      const paragraph = block.trim();
+      if (!paragraph) {
+        return;
+      }
+      const heading = format !== 'text' && /^(#{1,6})\s+(.+)$/.exec(paragraph.split('\n')[0]);
+      if (heading) {
+        if (current.paragraphs.length > 0) {
+          sections.push(current);
+        }
+        current = { heading: heading[2].trim(), paragraphs: [] };
+      }
+      current.paragraphs.push(paragraph);
+    });
+    if (current.paragraphs.length > 0) {
+      sections.push(current);
     }
 
-    return this._request('/api/rag/chat', {
-      method: 'POST',
-      body: JSON.stringify(payload)
+    const chunks = [];
+    sections.forEach(({ heading, paragraphs }) => {
+      const pieces = [];
+      // A heading always stays with the text that follows it
+      const headingLine = heading ? paragraphs[0] : null;
+      let buffer = '';
+      paragraphs.forEach(paragraph => {
+        // Text following a lone heading starts with what is left of the heading's chunk
+        const room = buffer && buffer === headingLine ? chunkSize - buffer.length - 2 : chunkSize;
+        splitLongText(paragraph, chunkSize, room > 0 ? room : chunkSize).forEach(piece => {
+          if (buffer && (buffer !== headingLine || room <= 0) && buffer.length + piece.length + 2 > chunkSize) {
+            pieces.push(buffer);
+            buffer = '';
+          }
+          buffer = buffer ? `${buffer}\n\n${piece}` : piece;
+        });
+      });
+      if (buffer) {
+        pieces.push(buffer);
+      }
+
+      pieces.forEach((piece, index) => {
+        const overlap = index > 0 ? overlapTail(pieces[index - 1], chunkOverlap) : '';
+        chunks.push({ heading, text: overlap ? `${overlap}\n\n${piece}` : piece });
+      });
     });
+
+    return chunks.map((chunk, index) => ({ ...chunk, index }));
   }
 
-/**
-   * Stream chat messages via Server-Sent Events (SSE)
-   * @param {Object} params - Chat parameters
-   * @param {string} params.message - The message to send (required)
-   * @param {Array} [params.history] - Chat history array
-   * @param {string} [params.system_prompt] - Custom system prompt
-   * @returns {EventSource} An EventSource instance for streaming responses
-   */
-  ragChatStream(params) {
-    if (!params.message) {
-      throw new PlayPathError('Message is required', 400);
-    }
-    const queryParams = {
-      message: params.message
-    };
-    if (params.history) {
-      queryParams.history = JSON.stringify(params.history);
+  /**
+   * Generate a random identifier, using crypto.randomUUID where available
+   * @private
+   */
+  function generateId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
     }
-    if (params.system_prompt) {
-      queryParams.system_prompt = params.system_prompt;
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Input schemas, mirroring the interfaces in playpath-sdk.d.ts
+   */
+  const CHAT_MESSAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+      role: { type: 'string', required: true, enum: ['user', 'assistant'] },
+      text: { type: 'string', required: true }
+    }
+  };
+
+  const ITEM_FIELDS = {
+    id: { type: ['integer', 'string'] },
+    title: { type: 'string' },
+    url: { type: 'string', format: 'url' },
+    text: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    state: { type: 'string' }
+  };
+
+  /**
+   * Retrieval filter for chat requests: which items answers may draw on
+   */
+  const RETRIEVAL_FILTER_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      includeTags: { type: 'array', items: { type: 'string', minLength: 1 } },
+      excludeTags: { type: 'array', items: { type: 'string', minLength: 1 } },
+      itemIds: { type: 'array', items: { type: ['integer', 'string'], minLength: 1 } },
+      states: { type: ['string', 'array'], items: { type: 'string' } },
+      topK: { type: 'integer', minimum: 1 }
+    }
+  };
+
+  /**
+   * Item fields a client can change with updateItem
+   */
+  const EDITABLE_ITEM_FIELDS = Object.keys(ITEM_FIELDS).filter(field => field !== 'id');
+
+  const SCHEMAS = {
+    ragChatParams: {
+      type: 'object',
+      name: 'params',
+      required: true,
+      properties: {
+        message: { type: 'string', required: true, minLength: 1 },
+        history: { type: 'array', items: CHAT_MESSAGE_SCHEMA },
+        system_prompt: { type: 'string' },
+        filter: RETRIEVAL_FILTER_SCHEMA
+      }
+    },
+    retrievalFilter: {
+      ...RETRIEVAL_FILTER_SCHEMA,
+      name: 'filter'
+    },
+    item: {
+      type: 'object',
+      name: 'item',
+      required: true,
+      properties: ITEM_FIELDS,
+      requireOneOf: ['title', 'text']
+    },
+    itemUpdate: {
+      type: 'object',
+      name: 'item',
+      required: true,
+      properties: ITEM_FIELDS
+    },
+    itemListParams: {
+      type: 'object',
+      name: 'params',
+      properties: {
+        limit: { type: 'integer', minimum: 1 },
+        cursor: { type: 'string' },
+        offset: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { type: 'string' } },
+        state: { type: ['string', 'array'], items: { type: 'string' } },
+        q: { type: 'string' },
+        sort: { type: 'string', pattern: /^-?[a-z_]+$/ }
+      }
+    },
+    itemId: {
+      type: ['integer', 'string'],
+      name: 'id',
+      required: true,
+      minLength: 1
+    },
+    itemIds: {
+      type: 'array',
+      name: 'ids',
+      required: true,
+      items: { type: ['integer', 'string'], minLength: 1 }
+    },
+    searchQuery: {
+      type: 'string',
+      name: 'query',
+      required: true,
+      minLength: 1
+    },
+    searchOptions: {
+      type: 'object',
+      name: 'options',
+      properties: {
+        topK: { type: 'integer', minimum: 1 },
+        tags: { type: 'array', items: { type: 'string' } },
+        minScore: { type: 'number' }
+      }
+    }
+  };
+
+  /**
+   * Name the JSON type of a value the way schemas refer to it
+   * @private
+   */
+  function typeOf(value) {
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (value === null) {
+      return 'null';
     }
-    if (this.apiKey) {
-      queryParams.api_key = this.apiKey;
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return 'integer';
     }
-    const url = `${this.baseUrl}/api/rag/stream?${new URLSearchParams(queryParams).toString()}`;
-    return new EventSource(url);
+    return typeof value;
   }
+
   /**
-   * Items API Methods
+   * Check a value against a schema, returning one message per violation.
+   * Nested fields are reported by path (e.g. history[0].role); top-level
+   * problems use the schema's name.
+   * @private
    */
+  function validateSchema(schema, value, path = '') {
+    const label = path || schema.name;
+
+    if (value === undefined || value === null) {
+      return schema.required ? [`${label} is required`] : [];
+    }
+
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      const expected = types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+      return [`${label} must be ${expected.join(' or ')}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${label} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+      errors.push(`${label} must be at least ${schema.minimum}`);
+    }
+    if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+      errors.push(`${label} has an invalid format`);
+    }
+    if (schema.format === 'url' && typeof value === 'string' && !isHttpUrl(value)) {
+      errors.push(`${label} must be a valid http(s) URL`);
+    }
+    if (schema.items && actual === 'array') {
+      value.forEach((entry, index) => {
+        errors.push(...validateSchema(schema.items, entry, `${path}[${index}]`));
+      });
+    }
+    if (schema.properties && actual === 'object') {
+      Object.keys(schema.properties).forEach(key => {
+        errors.push(...validateSchema(schema.properties[key], value[key], path ? `${path}.${key}` : key));
+      });
+    }
+    if (schema.additionalProperties === false && actual === 'object') {
+      Object.keys(value).filter(key => !(key in schema.properties)).forEach((key) => {
+        errors.push(`${path ? `${path}.${key}` : key} is not a known field`);
+      });
+    }
+    if (schema.requireOneOf && !schema.requireOneOf.some(key => value[key])) {
+      errors.push(`Either ${schema.requireOneOf.join(' or ')} is required`);
+    }
+
+    return errors;
+  }
 
   /**
-   * Get all items
-   * @returns {Promise<Array>} Array of items
+   * @private
    */
-  async getItems() {
-    return this._request('/api/items');
+  function isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
-   * Get a specific item by ID
-   * @param {string|number} id - Item ID
-   * @returns {Promise<Object>} Item object with neighbors
+   * Query parameters whose values are credentials
+   */
+  const SECRET_PARAMS = ['api_key', 'apikey', 'key', 'token', 'access_token'];
+
+  /**
+   * Replace credentials in a URL's query string so it is safe to log
+   * @private
    */
-  async getItem(id) {
-    return this._request(`/api/items/${id}`);
+  function redactUrl(url) {
+    return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, separator, name, value) => (
+      SECRET_PARAMS.includes(name.toLowerCase()) ? `${separator}${name}=REDACTED` : match
+    ));
   }
 
   /**
-   * Create a new item
-   * @param {Object} item - Item data
-   * @param {string} item.title - Item title
-   * @param {string} [item.url] - Item URL
-   * @param {string} [item.text] - Item text content
-   * @param {Array} [item.tags] - Item tags
-   * @returns {Promise<Object>} Created item
+   * Request ID assigned by the server, if it reports one
+   * @private
    */
-  async createItem(item) {
-    if (!item.title && !item.text) {
-      throw new PlayPathError('Either title or text is required', 400);
+  function getRequestId(headers) {
+    if (!headers || typeof headers.get !== 'function') {
+      return null;
     }
+    return headers.get('X-Request-Id') || headers.get('X-Correlation-Id') || null;
+  }
 
-    return this._request('/api/items', {
-      method: 'POST',
-      body: JSON.stringify(item)
-    });
+  /**
+   * Error details for a request that received a response
+   * @private
+   */
+  function responseErrorDetails(response, details) {
+    return {
+      ...details,
+      requestId: getRequestId(response.headers),
+      headers: headersToObject(response.headers)
+    };
   }
 
   /**
-   * Update an existing item
-   * @param {string|number} id - Item ID
-   * @param {Object} item - Updated item data
-   * @returns {Promise<Object>} Updated item
+   * Create the most specific error for an unsuccessful response
+   * @private
    */
-  async updateItem(id, item) {
-    return this._request(`/api/items/${id}`, {
-      method: 'PUT',
-      body: JSON.stringify(item)
-    });
+  function createResponseError(response, data, details) {
+    const status = response.status;
+    const message = (data && typeof data === 'object' && data.error) ||
+      `HTTP ${status}${response.statusText ? ` ${response.statusText}` : ''}`;
+
+    if (status === 401 || status === 403) {
+      return new AuthenticationError(message, status, data, details);
+    }
+    if (status === 404) {
+      return new NotFoundError(message, status, data, details);
+    }
+    if (status === 429) {
+      return new RateLimitError(message, status, data, {
+        ...details,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+    if (status === 409 || status === 412) {
+      return new ConflictError(message, status, data, {
+        ...details,
+        current: data && typeof data === 'object' ? data.current || data.item || null : null
+      });
+    }
+    if (status === 422 || (status === 400 && data && Array.isArray(data.errors))) {
+      return new ValidationError(message, status, data, details);
+    }
+    return new PlayPathError(message, status, data, details);
   }
 
   /**
-   * Delete an item
-   * @param {string|number} id - Item ID
-   * @returns {Promise<Object>} Delete confirmation
+   * Request headers that carry credentials and must not be logged
+   */
+  const SECRET_HEADERS = ['x-api-key', 'authorization', 'cookie', 'proxy-authorization'];
+
+  /**
+   * Copy request headers with credentials replaced so they are safe to log
+   * @private
    */
-  async deleteItem(id) {
-    return this._request(`/api/items/${id}`, {
-      method: 'DELETE'
+  function redactHeaders(headers) {
+    const result = {};
+    Object.keys(headers || {}).forEach(name => {
+      result[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? 'REDACTED' : headers[name];
     });
+    return result;
   }
 
   /**
-   * Utility Methods
+   * Current time in milliseconds, as precise as the platform allows
+   * @private
    */
+  function now() {
+    return typeof performance !== 'undefined' && typeof performance.now === 'function'
+      ? performance.now()
+      : Date.now();
+  }
 
   /**
-   * Format chat history for RAG API
-   * @param {Array} messages - Array of message objects
-   * @returns {Array} Formatted history
+   * Middleware that logs each request attempt with its status and duration.
+   * URLs and headers are redacted so API keys never reach the log.
+   * @param {Object} [options] - Logging options
+   * @param {Object} [options.logger=console] - Object with info and error methods
+   * @param {boolean} [options.headers=false] - Also log the request headers
+   * @returns {Function} Middleware for sdk.use()
    */
-  formatChatHistory(messages) {
-    return messages.map(msg => ({
-      role: msg.role || 'user',
-      text: msg.text || msg.message || msg.content || ''
-    }));
+  function createLoggingMiddleware(options = {}) {
+    const logger = options.logger || console;
+
+    return async (ctx, next) => {
+      const started = now();
+      const label = `${ctx.method} ${redactUrl(ctx.url)}`;
+      const extra = options.headers ? [{ headers: redactHeaders(ctx.headers) }] : [];
+
+      try {
+        await next();
+      } catch (error) {
+        logger.error(`[PlayPath] ${label} failed after ${Math.round(now() - started)}ms: ${error.message}`, ...extra);
+        throw error;
+      }
+
+      const status = ctx.response ? ctx.response.status : 'no response';
+      const attempt = ctx.attempt > 1 ? ` (attempt ${ctx.attempt})` : '';
+      logger.info(`[PlayPath] ${label} ${status} ${Math.round(now() - started)}ms${attempt}`, ...extra);
+    };
   }
 
   /**
-   * Create a chat session helper
-   * @param {string} [systemPrompt] - System prompt for the session
-   * @returns {Object} Chat session object
+   * Middleware that measures each request attempt and reports it to onMetric
+   * as { method, url, endpoint, status, attempt, duration, error }. The
+   * duration is also stored on ctx.state.duration. For streaming requests it
+   * covers the time until headers arrive.
+   * @param {Function} onMetric - Called with the timing of every attempt
+   * @returns {Function} Middleware for sdk.use()
    */
-  createChatSession(systemPrompt = null) {
-    const history = [];
-    
-    return {
-      /**
-       * Send a message in this chat session
-       * @param {string} message - The message to send
-       * @returns {Promise<Object>} Response from RAG API
-       */
-      sendMessage: async (message) => {
-        const params = {
-          message,
-          history: [...history]
-        };
-        
-        if (systemPrompt) {
-          params.system_prompt = systemPrompt;
-        }
-        
-        const response = await this.ragChat(params);
-        
-        // Add to history
-        history.push({ role: 'user', text: message });
-        history.push({ role: 'assistant', text: response.reply });
-        
-        return response;
-      },
-      
-      /**
-       * Get current chat history
-       * @returns {Array} Chat history
-       */
-      getHistory: () => [...history],
-      
-      /**
-       * Clear chat history
-       */
-      clearHistory: () => {
-        history.length = 0;
-      },
-      
-      /**
-       * Set system prompt
-       * @param {string} prompt - New system prompt
-       */
-      setSystemPrompt: (prompt) => {
-        systemPrompt = prompt;
+  function createTimingMiddleware(onMetric) {
+    if (typeof onMetric !== 'function') {
+      throw new TypeError('createTimingMiddleware requires an onMetric callback');
+    }
+
+    return async (ctx, next) => {
+      const started = now();
+      let error = null;
+
+      try {
+        await next();
+      } catch (err) {
+        error = err;
+        throw err;
+      } finally {
+        const duration = now() - started;
+        ctx.state.duration = duration;
+        onMetric({
+          method: ctx.method,
+          url: redactUrl(ctx.url),
+          endpoint: ctx.endpoint,
+          status: ctx.response ? ctx.response.status : null,
+          attempt: ctx.attempt,
+          duration,
+          error
+        });
       }
     };
   }
-}
 
-/**
- * Custom error class for PlayPath SDK
- */
-class PlayPathError extends Error {
-  constructor(message, status = null, data = null) {
-    super(message);
-    this.name = 'PlayPathError';
-    this.status = status;
-    this.data = data;
-  }
-}
-
-// Export for different environments
-if (typeof module !== 'undefined' && module.exports) {
-  // Node.js
-  module.exports = { PlayPathSDK, PlayPathError };
-} else if (typeof window !== 'undefined') {
-  // Browser
-  window.PlayPathSDK = PlayPathSDK;
-  window.PlayPathError = PlayPathError;
-}
\ No newline at end of file
+  /**
+   * How each authentication scheme sends a credential
+   */
+  const AUTH_SCHEMES = {
+    'api-key': token => ({ 'X-Api-Key': token }),
+    bearer: token => ({ Authorization: `Bearer ${token}` })
+  };
+
+  /**
+   * Settings a scoped client created by withOptions() may override
+   */
+  const SCOPED_OPTIONS = ['apiKey', 'auth', 'baseUrl', 'headers', 'timeout'];
+
+  /**
+   * Refresh provider tokens this long before they expire
+   */
+  const TOKEN_REFRESH_MARGIN = 30000;
+
+  /**
+   * Credentials for a client: either a static key or an async token provider
+   * whose result is cached until shortly before it expires. Concurrent requests
+   * share a single provider call.
+   * @private
+   */
+  class AuthState {
+    /**
+     * @param {string|Function|Object} auth - Key, provider, or { key, provider, scheme }
+     */
+    constructor(auth) {
+      const options = typeof auth === 'string' || typeof auth === 'function' || !auth
+        ? { [typeof auth === 'function' ? 'provider' : 'key']: auth }
+        : auth;
+
+      this.scheme = options.scheme || 'api-key';
+      if (!AUTH_SCHEMES[this.scheme]) {
+        throw new TypeError(`Unknown auth scheme "${this.scheme}"; expected ${Object.keys(AUTH_SCHEMES).join(' or ')}`);
+      }
+      if (options.provider !== undefined && typeof options.provider !== 'function') {
+        throw new TypeError('auth.provider must be a function');
+      }
+      this.key = options.provider ? null : options.key || '';
+      this.provider = options.provider || null;
+      this._token = null;
+      this._refreshAt = null;
+      this._pending = null;
+    }
+
+    /**
+     * Whether a rejected credential can be replaced by asking the provider again
+     */
+    get refreshable() {
+      return this.provider !== null;
+    }
+
+    /**
+     * Current credential, calling the provider if the cached one is missing
+     * or about to expire
+     * @returns {Promise<string>}
+     */
+    async getToken() {
+      if (!this.provider) {
+        return this.key;
+      }
+      if (this._token && (this._refreshAt === null || Date.now() < this._refreshAt)) {
+        return this._token;
+      }
+      if (!this._pending) {
+        this._pending = Promise.resolve()
+          .then(() => this.provider())
+          .then(result => this._store(result), (error) => {
+            throw new AuthenticationError(`Could not obtain credentials: ${error.message}`, null, null, { cause: error });
+          })
+          .finally(() => {
+            this._pending = null;
+          });
+      }
+      return this._pending;
+    }
+
+    /**
+     * Forget a credential the server rejected. A newer token fetched by a
+     * concurrent request is kept.
+     * @param {string} token - The rejected credential
+     */
+    invalidate(token) {
+      if (this._token === token) {
+        this._token = null;
+        this._refreshAt = null;
+      }
+    }
+
+    /**
+     * Request headers carrying a credential
+     * @param {string} token - The credential
+     * @returns {Object}
+     */
+    headers(token) {
+      return token ? AUTH_SCHEMES[this.scheme](token) : {};
+    }
+
+    /**
+     * Cache a provider result: a token string, or { token, expiresAt, expiresIn }
+     * with expiresAt as a Date or epoch milliseconds and expiresIn in seconds
+     * @private
+     */
+    _store(result) {
+      const token = typeof result === 'string' ? result : result && result.token;
+      if (typeof token !== 'string' || token === '') {
+        throw new AuthenticationError('Auth provider did not return a token');
+      }
+
+      let expiresAt = null;
+      if (result.expiresAt !== undefined && result.expiresAt !== null) {
+        expiresAt = new Date(result.expiresAt).getTime();
+      } else if (typeof result.expiresIn === 'number') {
+        expiresAt = Date.now() + result.expiresIn * 1000;
+      }
+
+      this._token = token;
+      // Short-lived tokens are refreshed halfway through their lifetime instead
+      this._refreshAt = expiresAt === null
+        ? null
+        : expiresAt - Math.min(TOKEN_REFRESH_MARGIN, Math.max(0, expiresAt - Date.now()) / 2);
+      return token;
+    }
+  }
+
+  /**
+   * Endpoint that looks up several items in one request
+   */
+  const ITEMS_BATCH_ENDPOINT = '/api/items/batch';
+
+  /**
+   * Most ids sent in one batch lookup
+   */
+  const MAX_BATCH_SIZE = 100;
+
+  /**
+   * Statuses showing that the API lacks an optional endpoint (batch lookup, search)
+   */
+  const UNSUPPORTED_ENDPOINT_STATUSES = [404, 405, 501];
+
+  /**
+   * Endpoint that ranks items by relevance to a query
+   */
+  const ITEMS_SEARCH_ENDPOINT = '/api/items/search';
+
+  /**
+   * Number of results searchItems returns by default
+   */
+  const DEFAULT_SEARCH_RESULTS = 10;
+
+  /**
+   * How long the items listed for local search ranking are reused
+   */
+  const SEARCH_CORPUS_TTL = 30000;
+
+  /**
+   * How long a missing search endpoint is remembered before it is tried again,
+   * e.g. after the server was upgraded
+   */
+  const SEARCH_UNSUPPORTED_TTL = 300000;
+
+  /**
+   * BM25 term-frequency saturation and length normalization
+   */
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+
+  /**
+   * Lower-cased words and numbers of a text
+   * @private
+   */
+  function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Rank items against a query with Okapi BM25 over their title and text. The
+   * title counts twice, since a match there says more than one in the body.
+   * Scores are scaled so the best match scores 1; items matching no query
+   * term are left out.
+   * @private
+   */
+  function rankItems(items, query) {
+    const terms = [...new Set(tokenize(query))];
+    const documents = items.map((item) => {
+      const tokens = [...tokenize(item.title), ...tokenize(item.title), ...tokenize(item.text)];
+      const counts = new Map();
+      tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+      return { item, length: tokens.length, counts };
+    });
+    if (terms.length === 0 || documents.length === 0) {
+      return [];
+    }
+
+    const averageLength = documents.reduce((total, doc) => total + doc.length, 0) / documents.length || 1;
+    const idf = new Map(terms.map((term) => {
+      const frequency = documents.filter(doc => doc.counts.has(term)).length;
+      return [term, Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    const scored = documents.map((doc) => {
+      const score = terms.reduce((total, term) => {
+        const frequency = doc.counts.get(term) || 0;
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / averageLength));
+        return total + idf.get(term) * ((frequency * (BM25_K1 + 1)) / norm);
+      }, 0);
+      return { item: doc.item, score };
+    }).filter(result => result.score > 0);
+
+    const best = Math.max(0, ...scored.map(result => result.score));
+    return scored
+      .map(result => ({ item: result.item, score: result.score / best }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Normalize search results from the API into { item, score } entries. The
+   * API may wrap them in results or items, and return each as { item, score }
+   * or as an item carrying its score.
+   * @private
+   */
+  function normalizeSearchResults(data) {
+    const raw = Array.isArray(data) ? data : (data && (data.results || data.items)) || [];
+    return raw.map((entry) => {
+      if (entry && entry.item && typeof entry.item === 'object') {
+        return { item: entry.item, score: entry.score ?? entry.similarity ?? null };
+      }
+      const { score, similarity, ...item } = entry;
+      return { item, score: score ?? similarity ?? null };
+    });
+  }
+
+  /**
+   * Deep copy of decoded JSON, so callers sharing a response cannot change
+   * each other's data
+   * @private
+   */
+  function cloneData(value) {
+    return value === undefined || value === null ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Settle with a promise, or reject with PlayPathAbortError as soon as the
+   * signal aborts
+   * @private
+   */
+  function withSignal(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    if (signal.aborted) {
+      return Promise.reject(new PlayPathAbortError());
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new PlayPathAbortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then((value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      }, (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Build the request body for the chat endpoints from RagChatParams
+   * @private
+   */
+  function buildChatPayload(params) {
+    const payload = {
+      message: params.message
+    };
+
+    if (params.history) {
+      payload.history = params.history;
+    }
+
+    if (params.system_prompt) {
+      payload.system_prompt = params.system_prompt;
+    }
+
+    const filter = serializeFilter(params.filter);
+    if (filter) {
+      payload.filter = filter;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Retrieval filter in the API's field names, or null when it restricts nothing
+   * @private
+   */
+  function serializeFilter(filter) {
+    if (!filter) {
+      return null;
+    }
+
+    const fields = {
+      include_tags: filter.includeTags,
+      exclude_tags: filter.excludeTags,
+      item_ids: filter.itemIds,
+      states: typeof filter.states === 'string' ? [filter.states] : filter.states,
+      top_k: filter.topK
+    };
+    const serialized = {};
+    Object.keys(fields).forEach((key) => {
+      if (fields[key] !== undefined && fields[key] !== null) {
+        serialized[key] = fields[key];
+      }
+    });
+    return Object.keys(serialized).length > 0 ? serialized : null;
+  }
+
+  /**
+   * Normalize the sources a chat response cites, reported by the API as
+   * sources or citations: item IDs, or objects with an id (or item_id/itemId
+   * or a nested item) and optionally a title, url, snippet and score
+   * @private
+   */
+  function normalizeSources(data) {
+    const raw = data && (data.sources || data.citations);
+    if (!Array.isArray(raw)) {
+      return [];
+    }
+
+    return raw.map((entry) => {
+      if (typeof entry === 'string' || typeof entry === 'number') {
+        return { id: entry, title: null, url: null, snippet: null, score: null };
+      }
+      if (!entry || typeof entry !== 'object') {
+        return null;
+      }
+      const item = entry.item && typeof entry.item === 'object' ? entry.item : {};
+      const score = entry.score ?? entry.similarity ?? entry.relevance;
+      return {
+        id: entry.id ?? entry.item_id ?? entry.itemId ?? item.id ?? null,
+        title: entry.title ?? item.title ?? null,
+        url: entry.url ?? item.url ?? null,
+        snippet: entry.snippet ?? entry.excerpt ?? entry.text ?? entry.content ?? null,
+        score: typeof score === 'number' ? score : null
+      };
+    }).filter(Boolean);
+  }
+
+  /**
+   * Add the normalized sources to a chat response body
+   * @private
+   */
+  function withSources(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return data;
+    }
+    return { ...data, sources: normalizeSources(data) };
+  }
+
+  /**
+   * Pick the per-call request options that _request understands
+   * @private
+   */
+  function requestOptions(options) {
+    return { signal: options.signal, timeout: options.timeout, priority: options.priority };
+  }
+
+  /**
+   * Request options for a public API method, which may also opt in to
+   * receiving { data, status, headers } instead of just the body
+   * @private
+   */
+  function callOptions(options) {
+    return { ...requestOptions(options), fullResponse: options.fullResponse === true };
+  }
+
+  /**
+   * Whether an ETag is weak (W/"..."). If-Match compares strongly, so a weak
+   * tag never matches and cannot serve as a precondition.
+   * @private
+   */
+  function isWeakETag(etag) {
+    return typeof etag === 'string' && etag.startsWith('W/');
+  }
+
+  /**
+   * Precondition headers for updateItem's expectedVersion and
+   * ifUnmodifiedSince options
+   * @private
+   */
+  function preconditionHeaders(options) {
+    const headers = {};
+    if (options.expectedVersion !== undefined && options.expectedVersion !== null) {
+      const version = String(options.expectedVersion);
+      if (!isWeakETag(version)) {
+        // Accept ETags as returned by the server as well as bare version numbers
+        headers['If-Match'] = version.startsWith('"') ? version : `"${version}"`;
+      } else if (options.ifUnmodifiedSince === undefined || options.ifUnmodifiedSince === null) {
+        throw new PlayPathValidationError([
+          'expectedVersion is a weak ETag, which If-Match never matches; pass a strong ETag or version, or ifUnmodifiedSince'
+        ]);
+      }
+    }
+    if (options.ifUnmodifiedSince !== undefined && options.ifUnmodifiedSince !== null) {
+      const date = new Date(options.ifUnmodifiedSince);
+      if (Number.isNaN(date.getTime())) {
+        throw new PlayPathValidationError(['ifUnmodifiedSince must be a valid date']);
+      }
+      headers['If-Unmodified-Since'] = date.toUTCString();
+    }
+    return headers;
+  }
+
+  /**
+   * The editable fields of an item, as a body for updateItem
+   * @private
+   */
+  function editableFields(item) {
+    const fields = {};
+    EDITABLE_ITEM_FIELDS.forEach((field) => {
+      if (item[field] !== undefined && item[field] !== null) {
+        fields[field] = item[field];
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Compare two decoded JSON values
+   * @private
+   */
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Attempts patchItem makes before giving up on a busy item
+   */
+  const DEFAULT_PATCH_ATTEMPTS = 3;
+
+  /**
+   * Statuses whose responses never carry a body
+   */
+  const EMPTY_BODY_STATUSES = [204, 205, 304];
+
+  /**
+   * Copy response headers into a plain object with lower-case names
+   * @private
+   */
+  function headersToObject(headers) {
+    const result = {};
+    if (headers && typeof headers.forEach === 'function') {
+      headers.forEach((value, name) => {
+        result[name.toLowerCase()] = value;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Decode a response body according to its Content-Type. JSON is parsed,
+   * other content is returned as text, and empty bodies decode to null.
+   * Parse errors keep the raw text as error.raw.
+   * @private
+   */
+  async function decodeBody(response, method) {
+    if (method === 'HEAD' || EMPTY_BODY_STATUSES.includes(response.status)) {
+      return null;
+    }
+
+    const raw = await response.text();
+    if (raw.trim() === '') {
+      return null;
+    }
+
+    const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+    if (!contentType) {
+      // Without a Content-Type, accept JSON but fall back to text
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    }
+    if (!/[/+]json\b/.test(contentType)) {
+      return raw;
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      error.raw = raw;
+      throw error;
+    }
+  }
+
+  /**
+   * Create the signal for a single fetch attempt, combining the caller's
+   * signal with an optional timeout. race(promise) settles like the promise,
+   * or rejects once the attempt is interrupted.
+   * @private
+   */
+  function createAttemptSignal(signal, timeout) {
+    if (!signal && !timeout) {
+      return { signal, race: promise => promise, timedOut: () => false, clearTimer: () => {}, cleanup: () => {} };
+    }
+    if (typeof AbortController !== 'function') {
+      return createRaceSignal(signal, timeout);
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const onAbort = () => controller.abort();
+
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+    }
+
+    return {
+      signal: controller.signal,
+      race: promise => promise,
+      timedOut: () => timedOut,
+      clearTimer: () => clearTimeout(timer),
+      cleanup: () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+    };
+  }
+
+  /**
+   * Attempt signal for environments without AbortController (Node.js 14).
+   * The request itself cannot be cancelled there, so the attempt stops waiting
+   * for it instead: race() rejects once the timeout passes or the caller's
+   * signal aborts, and a late response is ignored.
+   * @private
+   */
+  function createRaceSignal(signal, timeout) {
+    let timedOut = false;
+    let timer = null;
+    let onAbort = null;
+
+    const interrupted = new Promise((resolve, reject) => {
+      if (timeout) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          reject(new Error('Request timed out'));
+        }, timeout);
+      }
+      if (signal) {
+        onAbort = () => reject(new Error('Request aborted'));
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+    });
+    // Only observed through race()
+    interrupted.catch(() => {});
+
+    return {
+      signal,
+      race: promise => Promise.race([promise, interrupted]),
+      timedOut: () => timedOut,
+      clearTimer: () => clearTimeout(timer),
+      cleanup: () => {
+        clearTimeout(timer);
+        if (signal && onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+    };
+  }
+
+  /**
+   * Statuses that redirect to the Location header
+   */
+  const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+  /**
+   * Redirects followed by the Node.js transport before giving up
+   */
+  const MAX_REDIRECTS = 20;
+
+  /**
+   * Error thrown by the Node.js transport when its signal aborts, named like
+   * the one thrown by fetch
+   * @private
+   */
+  function transportAbortError() {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Read-only view of Node.js response headers with the fetch Headers API
+   * @private
+   */
+  class NodeHeaders {
+    constructor(raw) {
+      this._raw = raw || {};
+    }
+
+    get(name) {
+      const value = this._raw[name.toLowerCase()];
+      if (value === undefined) {
+        return null;
+      }
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    has(name) {
+      return this._raw[name.toLowerCase()] !== undefined;
+    }
+
+    forEach(callback) {
+      Object.keys(this._raw).forEach(name => callback(this.get(name), name, this));
+    }
+  }
+
+  /**
+   * The subset of the fetch Response API the SDK relies on, backed by a
+   * Node.js IncomingMessage. body is a Node.js Readable stream.
+   * @private
+   */
+  class NodeResponse {
+    constructor(message, body, url) {
+      this.status = message.statusCode;
+      this.statusText = message.statusMessage || '';
+      this.ok = this.status >= 200 && this.status < 300;
+      this.url = url;
+      this.headers = new NodeHeaders(message.headers);
+      this.body = body;
+    }
+
+    async text() {
+      const chunks = [];
+      for await (const chunk of this.body) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    }
+
+    async json() {
+      return JSON.parse(await this.text());
+    }
+  }
+
+  /**
+   * Create a fetch-compatible function on top of Node.js http/https, used when
+   * no global fetch exists (Node.js < 18) or when an agent is configured.
+   * Follows redirects and decodes gzip, deflate and br bodies like fetch does.
+   * @param {Object} [options]
+   * @param {Object|Function} [options.agent] - http.Agent, or (url) => Agent
+   * @param {boolean} [options.keepAlive=true] - Reuse connections when no agent is given
+   * @private
+   */
+  function createNodeFetch(options = {}) {
+    const http = require('http');
+    const https = require('https');
+    const zlib = require('zlib');
+    const { pipeline } = require('stream');
+    const keepAlive = options.keepAlive !== false;
+    const agents = {};
+
+    const agentFor = (target) => {
+      if (typeof options.agent === 'function') {
+        return options.agent(target);
+      }
+      if (options.agent) {
+        return options.agent;
+      }
+      if (!keepAlive) {
+        return undefined;
+      }
+      if (!agents[target.protocol]) {
+        const Agent = target.protocol === 'https:' ? https.Agent : http.Agent;
+        agents[target.protocol] = new Agent({ keepAlive: true });
+      }
+      return agents[target.protocol];
+    };
+
+    const decompress = (message) => {
+      const encoding = (message.headers['content-encoding'] || '').toLowerCase();
+      const decoder = encoding === 'gzip' || encoding === 'x-gzip' ? zlib.createGunzip()
+        : encoding === 'deflate' ? zlib.createInflate()
+          : encoding === 'br' && zlib.createBrotliDecompress ? zlib.createBrotliDecompress()
+            : null;
+      return decoder ? pipeline(message, decoder, () => {}) : message;
+    };
+
+    const send = (url, init, redirects) => new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'https:' ? https : target.protocol === 'http:' ? http : null;
+      if (!transport) {
+        reject(new TypeError(`Unsupported protocol ${target.protocol}`));
+        return;
+      }
+
+      const { signal } = init;
+      if (signal && signal.aborted) {
+        reject(transportAbortError());
+        return;
+      }
+
+      const method = (init.method || 'GET').toUpperCase();
+      const headers = { ...init.headers };
+      const body = init.body === undefined || init.body === null ? null : init.body;
+      if (body !== null && !Object.keys(headers).some(name => name.toLowerCase() === 'content-length')) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
+      let responseBody = null;
+      const onAbort = () => {
+        const error = transportAbortError();
+        if (responseBody) {
+          responseBody.destroy(error);
+        }
+        request.destroy(error);
+      };
+      const detach = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const request = transport.request(target, { method, headers, agent: agentFor(target) });
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      request.on('error', (error) => {
+        detach();
+        reject(error);
+      });
+
+      request.on('response', (message) => {
+        const location = message.headers.location;
+        if (REDIRECT_STATUSES.includes(message.statusCode) && location && init.redirect !== 'manual') {
+          message.resume();
+          detach();
+          if (init.redirect === 'error' || redirects >= MAX_REDIRECTS) {
+            reject(new Error(`Too many redirects fetching ${url}`));
+            return;
+          }
+
+          const next = new URL(location, target);
+          const nextInit = { ...init, headers: { ...init.headers } };
+          if (message.statusCode === 303 || ((message.statusCode === 301 || message.statusCode === 302) && method === 'POST')) {
+            nextInit.method = 'GET';
+            nextInit.body = null;
+            Object.keys(nextInit.headers)
+              .filter(name => /^content-/i.test(name))
+              .forEach(name => delete nextInit.headers[name]);
+          }
+          // Like fetch, never forward credentials to another origin
+          if (next.origin !== target.origin) {
+            Object.keys(nextInit.headers)
+              .filter(name => SECRET_HEADERS.includes(name.toLowerCase()))
+              .forEach(name => delete nextInit.headers[name]);
+          }
+          resolve(send(next.toString(), nextInit, redirects + 1));
+          return;
+        }
+
+        responseBody = decompress(message);
+        responseBody.on('close', detach);
+        resolve(new NodeResponse(message, responseBody, url));
+      });
+
+      if (body !== null) {
+        request.write(body);
+      }
+      request.end();
+    });
+
+    return (url, init = {}) => send(String(url), init, 0);
+  }
+
+  /**
+   * Incremental parser for the text/event-stream format. Feed it decoded text
+   * with push(); each complete event is passed to onEvent as { event, data, id }.
+   * @private
+   */
+  function createSSEParser(onEvent) {
+    let buffer = '';
+    let event = '';
+    let data = [];
+    let id = '';
+
+    const dispatch = () => {
+      if (data.length > 0) {
+        onEvent({ event: event || 'message', data: data.join('\n'), id });
+      }
+      event = '';
+      data = [];
+    };
+
+    const processLine = (line) => {
+      if (line === '') {
+        dispatch();
+        return;
+      }
+      if (line[0] === ':') {
+        return;
+      }
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value[0] === ' ') {
+        value = value.slice(1);
+      }
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      } else if (field === 'id') {
+        id = value;
+      }
+    };
+
+    return {
+      push(text) {
+        buffer += text;
+        let match;
+        while ((match = /\r\n|\r|\n/.exec(buffer)) !== null) {
+          // A trailing \r may be the first half of a \r\n split across chunks
+          if (match[0] === '\r' && match.index === buffer.length - 1) {
+            break;
+          }
+          processLine(buffer.slice(0, match.index));
+          buffer = buffer.slice(match.index + match[0].length);
+        }
+      },
+      end() {
+        if (buffer) {
+          processLine(buffer.replace(/\r$/, ''));
+          buffer = '';
+        }
+        dispatch();
+      }
+    };
+  }
+
+  /**
+   * Iterate the chunks of a response body, for both WHATWG and Node.js streams
+   * @private
+   */
+  async function* readBody(body) {
+    if (typeof body.getReader === 'function') {
+      const reader = body.getReader();
+      let finished = false;
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) {
+            finished = true;
+            return;
+          }
+          yield value;
+        }
+      } finally {
+        // Stopping early must close the connection rather than leave it dangling
+        if (!finished) {
+          await reader.cancel().catch(() => {});
+        }
+        reader.releaseLock();
+      }
+    } else {
+      yield* body;
+    }
+  }
+
+  /**
+   * Cancel a response body that will not be read, such as that of a response
+   * about to be retried, so the connection is not left open
+   * @private
+   */
+  async function discardBody(response) {
+    const body = response.body;
+    if (!body || response.bodyUsed) {
+      return;
+    }
+    if (typeof body.cancel === 'function') {
+      await body.cancel().catch(() => {});
+    } else if (typeof body.destroy === 'function') {
+      // Node.js stream from the built-in transport
+      body.destroy();
+    }
+  }
+
+  /**
+   * Parse an SSE data field as a JSON object, or return null for plain text
+   * @private
+   */
+  function parseEventData(data) {
+    try {
+      const parsed = JSON.parse(data);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  class PlayPathSDK {
+    /**
+     * Initialize the PlayPath SDK
+     * @param {Object} config - Configuration object
+     * @param {string} config.baseUrl - Base URL of the PlayPath API
+     * @param {string} config.apiKey - API key for authentication
+     * @param {Object} [config.headers] - Additional headers to include in requests
+     * @param {Object|boolean} [config.retry] - Retry policy, or false to disable retries
+     * @param {number} [config.retry.maxAttempts=3] - Total attempts per request, including the first
+     * @param {number} [config.retry.baseDelay=500] - Initial backoff delay in milliseconds
+     * @param {number} [config.retry.maxDelay=30000] - Upper bound for a single backoff delay
+     * @param {number} [config.retry.factor=2] - Exponential backoff multiplier
+     * @param {boolean} [config.retry.jitter=true] - Randomize delays to avoid thundering herds
+     * @param {Array<number>} [config.retry.retryOn] - HTTP statuses that trigger a retry
+     * @param {Function} [config.retry.onRetry] - Called before each retry with { attempt, delay, method, url, status, error }
+     * @param {number} [config.timeout] - Per-attempt request timeout in milliseconds (0 disables)
+     * @param {Object} [config.sessionStore] - Storage adapter for chat sessions
+     * @param {boolean} [config.validate=true] - Validate method inputs before sending; false passes them through as-is
+     * @param {string|Function|Object} [config.auth] - API key, async token provider, or { key, provider, scheme }
+     *   where scheme is 'api-key' (X-Api-Key header, the default) or 'bearer' (Authorization header)
+     * @param {Function} [config.fetch] - fetch implementation to use instead of the global fetch
+     * @param {Object|Function} [config.agent] - Node.js http.Agent, or (url) => Agent, for the http/https transport
+     * @param {boolean} [config.keepAlive=true] - Reuse connections in the Node.js http/https transport
+     * @param {Array<Function>} [config.middleware] - Middleware to add with use()
+     * @param {Function} [config.onRequest] - Called with the request context before every attempt
+     * @param {Function} [config.onResponse] - Called with the request context after every response
+     * @param {Function} [config.onError] - Called with (error, ctx) when a request fails
+     * @param {boolean|Object} [config.cache] - Cache item reads: true, { ttl, maxEntries, store }, or a ResponseCache
+     * @param {boolean} [config.dedupe=true] - Share one request between concurrent identical item reads
+     * @param {Object} [config.quota] - Quota tracking: { warningThreshold = 0.8, enforce = false }
+     * @param {Object|RateLimiter} [config.rateLimit] - Client-side throttle: { rps, burst, maxConcurrent }, or a shared RateLimiter
+     */
+    constructor(config = {}) {
+      this.baseUrl = config.baseUrl || '';
+      this.apiKey = config.apiKey || '';
+      // Configuration objects are copied and frozen so that mutating the
+      // caller's config later cannot leak into requests already in flight
+      this.headers = Object.freeze({
+        'Content-Type': 'application/json',
+        ...config.headers
+      });
+      this.auth = new AuthState(config.auth || this.apiKey);
+      this.apiKey = this.auth.key || '';
+      const retry = resolveRetryPolicy(config.retry);
+      this.retry = Object.freeze({ ...retry, retryOn: Object.freeze([...retry.retryOn]) });
+      this.timeout = config.timeout || 0;
+      this.sessionStore = config.sessionStore || null;
+      this.validate = config.validate !== false;
+      this.fetch = config.fetch || null;
+      this.agent = config.agent || null;
+      this.keepAlive = config.keepAlive !== false;
+      this.hooks = Object.freeze({
+        onRequest: config.onRequest || null,
+        onResponse: config.onResponse || null,
+        onError: config.onError || null
+      });
+      this.cache = config.cache instanceof ResponseCache
+        ? config.cache
+        : config.cache ? new ResponseCache(config.cache === true ? {} : config.cache) : null;
+      this.dedupe = config.dedupe !== false;
+      this.quota = new QuotaTracker(config.quota);
+      this.limiter = config.rateLimit instanceof RateLimiter
+        ? config.rateLimit
+        : config.rateLimit ? new RateLimiter(config.rateLimit) : null;
+      this.middleware = [];
+      this._listeners = {};
+      // State shared with every client derived through withOptions()
+      this._shared = {
+        nodeFetch: null,
+        inflight: new Map(),
+        batches: new Map(),
+        batchUnsupported: new Set(),
+        searchUnsupported: new Map(),
+        searchCorpus: new Map()
+      };
+      this.items = new PlayPathItems(this);
+
+      (config.middleware || []).forEach(fn => this.use(fn));
+    }
+
+    /**
+     * Set API key for authentication
+     * @param {string} apiKey - The API key
+     */
+    setApiKey(apiKey) {
+      this._assertMutable('setApiKey');
+      this.apiKey = apiKey;
+      this.auth = new AuthState({ key: apiKey, scheme: this.auth.scheme });
+    }
+
+    /**
+     * Replace the credentials used for requests, e.g. to rotate keys or switch
+     * to a token provider
+     * @param {string|Function|Object} auth - Same forms as config.auth
+     */
+    setAuth(auth) {
+      this._assertMutable('setAuth');
+      this.auth = new AuthState(auth);
+      this.apiKey = this.auth.key || '';
+    }
+
+    /**
+     * Set base URL for the API
+     * @param {string} baseUrl - The base URL
+     */
+    setBaseUrl(baseUrl) {
+      this._assertMutable('setBaseUrl');
+      this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Create a client scoped to other credentials or settings, e.g. one per
+     * tenant in a gateway. The scoped client is immutable and shares the
+     * transport, middleware, hooks, retry policy and session store with this
+     * client, so creating one per request is cheap and concurrent requests for
+     * different tenants cannot interfere.
+     * @param {Object} options - Settings to override
+     * @param {string} [options.apiKey] - API key, keeping the current auth scheme
+     * @param {string|Function|Object} [options.auth] - Credentials, same forms as config.auth
+     * @param {string} [options.baseUrl] - Base URL of the PlayPath API
+     * @param {Object} [options.headers] - Headers merged over the current headers
+     * @param {number} [options.timeout] - Per-attempt request timeout in milliseconds
+     * @returns {PlayPathSDK} The scoped client
+     */
+    withOptions(options = {}) {
+      const unknown = Object.keys(options).filter(key => !SCOPED_OPTIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new TypeError(`Unknown withOptions option ${unknown.join(', ')}; expected ${SCOPED_OPTIONS.join(', ')}`);
+      }
+
+      const scoped = Object.create(Object.getPrototypeOf(this));
+      Object.assign(scoped, this);
+
+      if (options.auth !== undefined || options.apiKey !== undefined) {
+        scoped.auth = options.auth !== undefined
+          ? new AuthState(options.auth)
+          : new AuthState({ key: options.apiKey, scheme: this.auth.scheme });
+        scoped.apiKey = scoped.auth.key || '';
+      }
+      if (options.baseUrl !== undefined) {
+        scoped.baseUrl = options.baseUrl;
+      }
+      if (options.headers) {
+        scoped.headers = Object.freeze({ ...this.headers, ...options.headers });
+      }
+      if (options.timeout !== undefined) {
+        scoped.timeout = options.timeout;
+      }
+      // Quotas belong to an account, so other credentials start with their own
+      if (scoped.auth !== this.auth || scoped.baseUrl !== this.baseUrl) {
+        scoped.quota = new QuotaTracker(this.quota);
+      }
+      scoped.items = new PlayPathItems(scoped);
+
+      return Object.freeze(scoped);
+    }
+
+    /**
+     * Scoped clients cannot be reconfigured; derive another one instead
+     * @private
+     */
+    _assertMutable(method, hint = 'create another one with withOptions()') {
+      if (Object.isFrozen(this)) {
+        throw new PlayPathError(`${method}() is not available on a scoped client; ${hint}`);
+      }
+    }
+
+    /**
+     * Add a middleware to the request pipeline. Middleware runs in the order
+     * it was added, once per attempt, and receives the request context and a
+     * next() function that performs the rest of the request:
+     *
+     *   sdk.use(async (ctx, next) => {
+     *     ctx.headers['X-Trace-Id'] = traceId;
+     *     await next();
+     *     console.log(ctx.response.status);
+     *   });
+     *
+     * The context has method, url, endpoint, headers, body, attempt and signal
+     * before next(), plus response and data after it. Middleware may change the
+     * request fields, rewrite data, or skip next() and set ctx.response itself.
+     * @param {Function} fn - Middleware (ctx, next) => Promise
+     * @returns {PlayPathSDK} The SDK, for chaining
+     */
+    use(fn) {
+      this._assertMutable('use', 'add middleware to the client it was created from');
+      if (typeof fn !== 'function') {
+        throw new TypeError('Middleware must be a function');
+      }
+      this.middleware.push(fn);
+      return this;
+    }
+
+    /**
+     * Make HTTP request
+     *
+     * Transient failures (network errors, timeouts and the statuses in
+     * retry.retryOn) are retried with exponential backoff for idempotent methods.
+     * Other methods are only retried when options.retry is true. The timeout
+     * applies to each attempt; aborting options.signal cancels the whole request.
+     *
+     * Every attempt runs through the onRequest hook, the middleware registered
+     * with use() and then the onResponse hook. onError is called once with the
+     * final error when the request fails.
+     *
+     * Credentials come from this.auth on every attempt. When a token provider's
+     * token is rejected with 401, a fresh token is fetched and the request is
+     * sent once more, whatever its method.
+     *
+     * Bodies are decoded by Content-Type; with options.fullResponse the result
+     * is { data, status, headers } rather than just the decoded body.
+     *
+     * With options.notModified a 304 response is returned instead of thrown,
+     * for conditional requests made by the response cache.
+     *
+     * With options.stream the successful response is returned undecoded as
+     * { response, release } once headers arrive. The timeout stops at that
+     * point, options.signal keeps cancelling the body until release() is called.
+     *
+     * With config.rateLimit every attempt first waits for a limiter slot at
+     * options.priority, and holds it until the response is decoded (or, for
+     * streams, until release()). Slots are given back during retry backoff.
+     * @private
+     */
+    async _request(endpoint, options = {}) {
+      const {
+        retry,
+        signal,
+        timeout = this.timeout,
+        stream = false,
+        fullResponse = false,
+        notModified = false,
+        priority = 'normal',
+        ...init
+      } = options;
+      const { method: initMethod, headers: initHeaders, body, ...fetchOptions } = init;
+      const url = `${this.baseUrl}${endpoint}`;
+      const method = (initMethod || 'GET').toUpperCase();
+      const policy = this.retry;
+      const canRetry = retry === true || (retry !== false && IDEMPOTENT_METHODS.includes(method));
+
+      let reauthenticated = false;
+
+      for (let attempt = 1; ; attempt++) {
+        const ctx = {
+          endpoint,
+          url,
+          method,
+          headers: { ...this.headers, ...initHeaders },
+          body,
+          attempt,
+          stream,
+          signal: null,
+          response: null,
+          data: undefined,
+          state: {}
+        };
+        const details = () => ({ method: ctx.method, url: redactUrl(ctx.url) });
+
+        if (signal && signal.aborted) {
+          throw await this._fail(new PlayPathAbortError(undefined, details()), ctx);
+        }
+
+        // Wait for the rate limiter before the timeout starts, so queueing never times a request out
+        let release = () => {};
+        if (this.limiter) {
+          try {
+            release = await this.limiter.acquire(priority, signal);
+          } catch (error) {
+            throw await this._fail(error instanceof PlayPathAbortError ? new PlayPathAbortError(undefined, details()) : error, ctx);
+          }
+        }
+
+        const retriesLeft = canRetry && attempt < policy.maxAttempts;
+        const attemptSignal = createAttemptSignal(signal, timeout);
+        let streaming = false;
+        ctx.signal = attemptSignal.signal;
+
+        const auth = this.auth;
+        let token = null;
+
+        try {
+          token = await auth.getToken();
+          ctx.headers = { ...this.headers, ...auth.headers(token), ...initHeaders };
+          await this._runHook('onRequest', ctx);
+          await this._dispatch(ctx, () => this._send(ctx, fetchOptions, attemptSignal, timeout));
+          if (!ctx.response) {
+            throw new PlayPathError('Middleware finished without a response', null, null, details());
+          }
+          await this._runHook('onResponse', ctx);
+          this._observeQuota(ctx.response, ctx.data);
+
+          const response = ctx.response;
+          // A provider token may have been revoked or expired early; get a fresh one and try once more
+          if (response.status === 401 && auth.refreshable && !reauthenticated) {
+            reauthenticated = true;
+            auth.invalidate(token);
+            await discardBody(response);
+            continue;
+          }
+
+          if (!response.ok && retriesLeft && policy.retryOn.includes(response.status)) {
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            // Give up rather than retry early when the server asks for a longer pause than we allow
+            if (retryAfter === null || retryAfter <= policy.maxDelay) {
+              await discardBody(response);
+              attemptSignal.cleanup();
+              release();
+              const delay = retryAfter === null ? computeBackoff(policy, attempt) : retryAfter;
+              await this._waitForRetry({ attempt, method, url, status: response.status, error: null }, delay, signal);
+              continue;
+            }
+          }
+
+          if (!response.ok && !(notModified && response.status === 304)) {
+            throw createResponseError(response, ctx.data, responseErrorDetails(response, details()));
+          }
+
+          if (stream) {
+            attemptSignal.clearTimer();
+            streaming = true;
+            return {
+              response,
+              release: () => {
+                attemptSignal.cleanup();
+                release();
+              }
+            };
+          }
+
+          return fullResponse
+            ? { data: ctx.data, status: response.status, headers: headersToObject(response.headers) }
+            : ctx.data;
+        } catch (error) {
+          attemptSignal.cleanup();
+          release();
+          let failure = error;
+          if (signal && signal.aborted) {
+            failure = new PlayPathAbortError(undefined, details());
+          } else if (!(error instanceof PlayPathError)) {
+            failure = new PlayPathError(error.message, null, null, { ...details(), cause: error });
+          }
+
+          if (!ctx.response && retriesLeft && (failure instanceof NetworkError || failure instanceof PlayPathTimeoutError)) {
+            await this._waitForRetry({ attempt, method, url, status: null, error: failure }, computeBackoff(policy, attempt), signal);
+            continue;
+          }
+          throw await this._fail(failure, ctx);
+        } finally {
+          if (!streaming) {
+            attemptSignal.cleanup();
+            release();
+          }
+        }
+      }
+    }
+
+    /**
+     * Perform the fetch for a request context and decode the body. This is the
+     * innermost step of the middleware chain.
+     * @private
+     */
+    async _send(ctx, fetchOptions, attemptSignal, timeout) {
+      const details = { method: ctx.method, url: redactUrl(ctx.url) };
+      const failure = (error, response) => {
+        const failureDetails = response ? responseErrorDetails(response, details) : details;
+        if (attemptSignal.timedOut()) {
+          return new PlayPathTimeoutError(timeout, failureDetails);
+        }
+        if (ctx.signal && ctx.signal.aborted) {
+          return new PlayPathAbortError(undefined, failureDetails);
+        }
+        return null;
+      };
+
+      const transport = this._transport();
+      let response;
+      try {
+        response = await attemptSignal.race(transport(ctx.url, {
+          ...fetchOptions,
+          method: ctx.method,
+          headers: ctx.headers,
+          body: ctx.body,
+          signal: ctx.signal
+        }));
+      } catch (error) {
+        throw failure(error) || new NetworkError(error.message, error, details);
+      }
+
+      ctx.response = response;
+      if (ctx.stream && response.ok) {
+        return;
+      }
+
+      try {
+        ctx.data = await attemptSignal.race(decodeBody(response, ctx.method));
+      } catch (error) {
+        const interrupted = failure(error, response);
+        if (interrupted) {
+          throw interrupted;
+        }
+        // Error bodies need not be valid JSON; keep the status and the raw text
+        if (!response.ok) {
+          ctx.data = error.raw === undefined ? null : error.raw;
+          return;
+        }
+        throw new ResponseParseError(
+          `Could not parse response: ${error.message}`,
+          response.status,
+          error.raw === undefined ? null : error.raw,
+          { ...responseErrorDetails(response, details), cause: error }
+        );
+      }
+    }
+
+    /**
+     * The fetch implementation for this client: config.fetch if given, else
+     * the global fetch, else a transport built on Node.js http/https. The Node.js
+     * transport is also used when config.agent is set, since fetch cannot use
+     * an http.Agent.
+     * @private
+     */
+    _transport() {
+      if (this.fetch) {
+        return this.fetch;
+      }
+      if (typeof fetch === 'function' && !this.agent) {
+        return fetch;
+      }
+      if (!this._shared.nodeFetch) {
+        if (typeof require !== 'function') {
+          throw new PlayPathError('No fetch implementation is available; pass one as config.fetch');
+        }
+        this._shared.nodeFetch = createNodeFetch({ agent: this.agent, keepAlive: this.keepAlive });
+      }
+      return this._shared.nodeFetch;
+    }
+
+    /**
+     * Run a request context through the registered middleware, ending with
+     * the terminal handler
+     * @private
+     */
+    _dispatch(ctx, terminal) {
+      const stack = this.middleware;
+      let index = -1;
+
+      const run = (position) => {
+        if (position <= index) {
+          return Promise.reject(new PlayPathError('next() called multiple times'));
+        }
+        index = position;
+        const handler = position < stack.length ? stack[position] : terminal;
+        try {
+          return Promise.resolve(handler(ctx, () => run(position + 1)));
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      };
+
+      return run(0);
+    }
+
+    /**
+     * Call a lifecycle hook if one is configured
+     * @private
+     */
+    async _runHook(name, ...args) {
+      const hook = this.hooks[name];
+      if (typeof hook === 'function') {
+        await hook(...args);
+      }
+    }
+
+    /**
+     * Report a final request failure to the onError hook and return the error
+     * to throw. A failing hook never replaces the original error.
+     * @private
+     */
+    async _fail(error, ctx) {
+      try {
+        await this._runHook('onError', error, ctx);
+      } catch (hookError) {
+        // Ignore: the request error is more useful to the caller
+      }
+      return error;
+    }
+
+    /**
+     * Subscribe to an SDK event:
+     * - quotaWarning: usage reached quota.warningThreshold of the limit
+     * - quotaExceeded: usage reached the limit
+     * Listeners receive the quota as returned by getQuota().
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {PlayPathSDK} The SDK, for chaining
+     */
+    on(event, listener) {
+      this._assertMutable('on', 'add listeners to the client it was created from');
+      if (!SDK_EVENTS.includes(event)) {
+        throw new TypeError(`Unknown event ${event}; expected ${SDK_EVENTS.join(', ')}`);
+      }
+      if (typeof listener !== 'function') {
+        throw new TypeError('Listener must be a function');
+      }
+      this._listeners[event] = [...(this._listeners[event] || []), listener];
+      return this;
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} event - Event name
+     * @param {Function} listener - The listener to remove
+     * @returns {PlayPathSDK} The SDK, for chaining
+     */
+    off(event, listener) {
+      this._assertMutable('off', 'remove listeners from the client it was created from');
+      this._listeners[event] = (this._listeners[event] || []).filter(fn => fn !== listener);
+      return this;
+    }
+
+    /**
+     * Call an event's listeners. A failing listener never breaks the request
+     * that triggered the event.
+     * @private
+     */
+    _emit(event, payload) {
+      (this._listeners[event] || []).forEach((listener) => {
+        try {
+          listener(payload);
+        } catch (error) {
+          // Ignore: listeners are notified, not consulted
+        }
+      });
+    }
+
+    /**
+     * The latest quota reported by the API, from usage/limit in chat responses
+     * or from rate-limit headers (X-RateLimit-Limit/-Remaining/-Reset)
+     * @returns {Object|null} { usage, limit, remaining, ratio, exceeded, resetAt, updatedAt },
+     *   or null until a response has reported a quota
+     */
+    getQuota() {
+      return this.quota.get();
+    }
+
+    /**
+     * Forget the tracked quota, e.g. after upgrading the plan, so that
+     * quota.enforce lets chat requests through again
+     */
+    resetQuota() {
+      this.quota.reset();
+    }
+
+    /**
+     * Update the quota from a response and emit the events it triggers. Counters
+     * in the body take precedence over rate-limit headers.
+     * @private
+     */
+    _observeQuota(response, data) {
+      let counters = null;
+      if (data && typeof data === 'object' && typeof data.usage === 'number' && typeof data.limit === 'number') {
+        counters = { usage: data.usage, limit: data.limit };
+      } else if (response && response.headers && typeof response.headers.get === 'function') {
+        counters = parseRateLimitHeaders(response.headers);
+      }
+      if (counters) {
+        const events = this.quota.update(counters);
+        events.forEach(event => this._emit(event, this.quota.get()));
+      }
+    }
+
+    /**
+     * With quota.enforce, refuse to send a chat request once the quota is used up
+     * @private
+     */
+    _checkQuota() {
+      if (!this.quota.enforce || !this.quota.exceeded()) {
+        return;
+      }
+      const { usage, limit, resetAt } = this.quota.get();
+      throw new RateLimitError(`Quota exceeded (${usage}/${limit}); request not sent`, null, { usage, limit }, {
+        retryAfter: resetAt ? Math.max(0, resetAt.getTime() - Date.now()) : null
+      });
+    }
+
+    /**
+     * Check method inputs against the declared schemas, reporting every
+     * violation at once. Each check is a [schemaName, value] pair.
+     * @private
+     */
+    _validate(...checks) {
+      if (!this.validate) {
+        return;
+      }
+
+      const errors = [].concat(...checks.map(([schemaName, value]) => validateSchema(SCHEMAS[schemaName], value)));
+      if (errors.length > 0) {
+        throw new PlayPathValidationError(errors);
+      }
+    }
+
+    /**
+     * GET an item resource through the response cache when one is configured,
+     * sharing the request with identical reads already in flight. Always
+     * resolves to { data, status, headers }. options.cache === false bypasses
+     * the cache.
+     * @param {string} endpoint - Endpoint path including the query string
+     * @param {Object} options - Request options
+     * @param {string|number|null} itemId - Item the response describes, or null for listings
+     * @private
+     */
+    async _cachedGet(endpoint, options, itemId) {
+      const useCache = this.cache && options.cache !== false;
+      if (!useCache && !this.dedupe) {
+        return this._request(endpoint, { ...requestOptions(options), fullResponse: true });
+      }
+
+      const credential = await this.auth.getToken();
+      const timeout = options.timeout === undefined ? this.timeout : options.timeout;
+      const load = (signal) => {
+        // A shared request keeps the priority of the caller that started it
+        const request = { signal, timeout, priority: options.priority, fullResponse: true };
+        if (!useCache) {
+          return this._request(endpoint, request);
+        }
+        const key = this.cache.key(this.baseUrl, credential, endpoint, itemId, this.headers);
+        return this.cache.fetch(key, validators => this._request(endpoint, {
+          ...request,
+          headers: validators,
+          notModified: true
+        }));
+      };
+
+      if (!this.dedupe) {
+        return load(options.signal);
+      }
+      const key = [useCache ? 'cached' : 'direct', this._scopeKey(credential), timeout, endpoint].join('|');
+      return this._shareRequest(key, load, options.signal);
+    }
+
+    /**
+     * Identify everything that shapes this client's requests apart from the
+     * endpoint: base URL, credential and headers. Requests are only shared
+     * between clients with the same scope, so tenants told apart by a header
+     * never see each other's responses. Only used for in-process keys, which
+     * may contain the raw credential.
+     * @private
+     */
+    _scopeKey(credential) {
+      return JSON.stringify([this.baseUrl, this.auth.scheme, credential || null, sortedHeaders(this.headers)]);
+    }
+
+    /**
+     * Run load() once for all concurrent callers with the same key. Each caller
+     * may abort on its own; the request itself is cancelled only once every
+     * caller has aborted. Callers that join a request get their own copy of the data.
+     * @private
+     */
+    _shareRequest(key, load, signal) {
+      if (signal && signal.aborted) {
+        return Promise.reject(new PlayPathAbortError());
+      }
+
+      const inflight = this._shared.inflight;
+      let entry = inflight.get(key);
+      const joined = Boolean(entry);
+
+      if (!entry) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        entry = { callers: 0, controller };
+        entry.promise = load(controller ? controller.signal : undefined).finally(() => {
+          if (inflight.get(key) === entry) {
+            inflight.delete(key);
+          }
+        });
+        inflight.set(key, entry);
+      }
+      entry.callers++;
+
+      const shared = entry.promise.then(response => (
+        joined ? { ...response, data: cloneData(response.data), headers: { ...response.headers } } : response
+      ));
+      if (!signal) {
+        return shared;
+      }
+
+      const leave = () => {
+        entry.callers--;
+        if (entry.callers === 0 && entry.controller) {
+          entry.controller.abort();
+          if (inflight.get(key) === entry) {
+            inflight.delete(key);
+          }
+        }
+      };
+      signal.addEventListener('abort', leave, { once: true });
+      entry.promise.then(() => signal.removeEventListener('abort', leave), () => signal.removeEventListener('abort', leave));
+      return withSignal(shared, signal);
+    }
+
+    /**
+     * Notify the onRetry hook and wait out the backoff delay
+     * @private
+     */
+    async _waitForRetry(info, delay, signal) {
+      if (typeof this.retry.onRetry === 'function') {
+        this.retry.onRetry({ ...info, delay });
+      }
+      try {
+        await sleep(delay, signal);
+      } catch (error) {
+        throw new PlayPathAbortError(undefined, { method: info.method, url: redactUrl(info.url) });
+      }
+    }
+
+    /**
+     * RAG API Methods
+     */
+
+    /**
+     * Send a chat message to the RAG API
+     * @param {Object} params - Chat parameters
+     * @param {string} params.message - The message to send (required)
+     * @param {Array} [params.history] - Chat history array
+     * @param {string} [params.system_prompt] - Custom system prompt
+     * @param {Object} [params.filter] - Restrict the items the answer may draw on
+     * @param {Array<string>} [params.filter.includeTags] - Only items with at least one of these tags
+     * @param {Array<string>} [params.filter.excludeTags] - Skip items with any of these tags
+     * @param {Array<string|number>} [params.filter.itemIds] - Only these items
+     * @param {string|Array<string>} [params.filter.states] - Only items in these states
+     * @param {number} [params.filter.topK] - Number of items retrieved for the answer
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.retry=false] - Retry transient failures (chat requests are not idempotent)
+     * @param {AbortSignal} [options.signal] - Signal to cancel the request
+     * @param {number} [options.timeout] - Request timeout in milliseconds, overriding config.timeout
+     * @param {boolean} [options.fullResponse=false] - Resolve with { data, status, headers } instead of just the body
+     * @returns {Promise<Object>} Chat response
+     */
+    async ragChat(params, options = {}) {
+      this._validate(['ragChatParams', params]);
+      this._checkQuota();
+
+      const result = await this._request('/api/rag/chat', {
+        ...callOptions(options),
+        priority: options.priority || 'high',
+        method: 'POST',
+        body: JSON.stringify(buildChatPayload(params)),
+        retry: options.retry === true
+      });
+      return options.fullResponse ? { ...result, data: withSources(result.data) } : withSources(result);
+    }
+
+  /**
+     * Stream chat messages via Server-Sent Events (SSE)
+     * Returns an EventSource-like object (onmessage, onerror, addEventListener,
+     * close). Credentials are sent in headers like every other request, and the
+     * payload is POSTed, so neither ends up in the URL. For an async iterator
+     * of tokens and the aggregated reply, use streamRagChat.
+     * @param {Object} params - Chat parameters
+     * @param {string} params.message - The message to send (required)
+     * @param {Array} [params.history] - Chat history array
+     * @param {string} [params.system_prompt] - Custom system prompt
+     * @param {Object} [params.filter] - Retrieval filter, as for ragChat
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Signal to cancel the stream
+     * @param {number} [options.timeout] - Time to wait for the response to start, in milliseconds
+     * @returns {RagEventSource} An EventSource-compatible stream of server events
+     */
+    ragChatStream(params, options = {}) {
+      this._validate(['ragChatParams', params]);
+      this._checkQuota();
+      const payload = buildChatPayload(params);
+
+      return new RagEventSource(signal => this._request('/api/rag/stream', {
+        ...requestOptions(options),
+        priority: options.priority || 'high',
+        signal,
+        method: 'POST',
+        headers: { Accept: 'text/event-stream' },
+        body: JSON.stringify(payload),
+        stream: true
+      }), options.signal);
+    }
+
+    /**
+     * Stream a chat reply over fetch, sending credentials in headers.
+     * Works in browsers and Node.js.
+     * @param {Object} params - Chat parameters
+     * @param {string} params.message - The message to send (required)
+     * @param {Array} [params.history] - Chat history array
+     * @param {string} [params.system_prompt] - Custom system prompt
+     * @param {Object} [params.filter] - Retrieval filter, as for ragChat
+     * @param {Object} [options] - Request options ({ signal, timeout, retry })
+     * @returns {RagChatStream} Async iterable of token/done/error events
+     */
+    streamRagChat(params, options = {}) {
+      this._validate(['ragChatParams', params]);
+      this._checkQuota();
+      const payload = buildChatPayload(params);
+
+      return new RagChatStream(signal => this._request('/api/rag/stream', {
+        ...requestOptions(options),
+        priority: options.priority || 'high',
+        signal,
+        method: 'POST',
+        headers: { Accept: 'text/event-stream' },
+        body: JSON.stringify(payload),
+        retry: options.retry === true,
+        stream: true
+      }), options.signal, response => this._observeQuota(null, response));
+    }
+
+    /**
+     * Fetch the items a chat response cites, e.g. to render footnotes that
+     * link to the original drills. Items are read with getItem, so the
+     * response cache and request sharing apply. A source whose item no longer
+     * exists, or that has no ID, resolves with item null.
+     * @param {Object} response - Chat response, or an object with sources
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @param {number} [options.concurrency=5] - Maximum requests in flight
+     * @returns {Promise<Array>} The sources, in order, each with its item
+     */
+    async resolveSources(response, options = {}) {
+      const sources = normalizeSources(response);
+      const ids = [...new Set(sources.filter(source => source.id !== null).map(source => String(source.id)))];
+
+      const fetched = await runBulk(ids, id => this.getItem(id, requestOptions(options)), {
+        concurrency: options.concurrency,
+        signal: options.signal
+      });
+      const failure = fetched.failed.find(({ error }) => !(error instanceof NotFoundError));
+      if (failure) {
+        throw failure.error;
+      }
+
+      const items = new Map(fetched.succeeded.map(({ input, result }) => [input, result]));
+      return sources.map(source => ({
+        ...source,
+        item: source.id === null ? null : items.get(String(source.id)) || null
+      }));
+    }
+
+    /**
+     * Items API Methods
+     */
+
+    /**
+     * Get items, optionally filtered, sorted and paginated
+     * @param {Object} [params] - Listing parameters
+     * @param {number} [params.limit] - Maximum number of items to return
+     * @param {string} [params.cursor] - Cursor from a previous page's nextCursor
+     * @param {number} [params.offset] - Number of items to skip (alternative to cursor)
+     * @param {Array<string>} [params.tags] - Only items with all of these tags
+     * @param {string|Array<string>} [params.state] - Only items in this state (or any of these states)
+     * @param {string} [params.q] - Free-text filter on title and text
+     * @param {string} [params.sort] - Sort field, prefixed with '-' for descending (e.g. '-updated_at')
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse, cache })
+     * @returns {Promise<Array>} Array of items
+     */
+    async getItems(params = {}, options = {}) {
+      const page = await this.getItemsPage(params, options);
+      return options.fullResponse ? { ...page, data: page.data.items } : page.items;
+    }
+
+    /**
+     * Get one page of items along with the position of the next page
+     * @param {Object} [params] - Listing parameters, as for getItems
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse, cache })
+     * @returns {Promise<Object>} { items, nextCursor, nextOffset, total }
+     */
+    async getItemsPage(params = {}, options = {}) {
+      this._validate(['itemListParams', params]);
+      const response = await this._cachedGet(`/api/items${buildItemsQuery(params)}`, options, null);
+      const page = normalizeItemsPage(response.data, params);
+      return options.fullResponse ? { ...response, data: page } : page;
+    }
+
+    /**
+     * Iterate over all matching items, fetching pages as needed
+     * @param {Object} [params] - Listing parameters, as for getItems; limit sets the page size
+     * @param {Object} [options] - Request options ({ signal, timeout })
+     * @returns {AsyncGenerator<Object>} Items
+     */
+    async *iterateItems(params = {}, options = {}) {
+      let pageParams = { limit: DEFAULT_PAGE_SIZE, ...params };
+      let firstId;
+
+      while (true) {
+        const page = await this.getItemsPage(pageParams, requestOptions(options));
+        // A server that ignores cursor/offset sends the same page again; stop rather than loop
+        if (page.items.length === 0 || (firstId !== undefined && page.items[0].id === firstId)) {
+          return;
+        }
+        firstId = page.items[0].id;
+        yield* page.items;
+
+        if (page.nextCursor) {
+          const { offset, ...rest } = pageParams;
+          pageParams = { ...rest, cursor: page.nextCursor };
+        } else if (page.nextOffset !== null) {
+          pageParams = { ...pageParams, offset: page.nextOffset };
+        } else {
+          return;
+        }
+      }
+    }
+
+    /**
+     * Get a specific item by ID
+     * @param {string|number} id - Item ID
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse, cache }); cache: false skips the response cache
+     * @returns {Promise<Object>} Item object with neighbors
+     */
+    async getItem(id, options = {}) {
+      this._validate(['itemId', id]);
+      const response = await this._cachedGet(`/api/items/${id}`, options, id);
+      return options.fullResponse ? response : response.data;
+    }
+
+    /**
+     * Get several items by ID. Lookups made within the same tick, including
+     * from other callers, are combined into batch requests and the results
+     * fanned back out. If the API has no batch endpoint, the items are fetched
+     * with getItem, a few at a time.
+     * @param {Array<string|number>} ids - Item IDs
+     * @param {Object} [options] - Request options ({ signal })
+     * @returns {Promise<Array<Object|null>>} Items in the order of ids; null for IDs that do not exist
+     */
+    async getItemsByIds(ids, options = {}) {
+      this._validate(['itemIds', ids]);
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const credential = await this.auth.getToken();
+      const batchKey = this._scopeKey(credential);
+      let batch = this._shared.batches.get(batchKey);
+      if (!batch) {
+        // Keyed by the string form so 1 and '1' are looked up once
+        batch = { ids: new Map() };
+        batch.promise = new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+          this._shared.batches.delete(batchKey);
+          return this._loadItemsBatch([...batch.ids.values()]);
+        });
+        this._shared.batches.set(batchKey, batch);
+      }
+      ids.filter(id => !batch.ids.has(String(id))).forEach(id => batch.ids.set(String(id), id));
+
+      const results = await withSignal(batch.promise, options.signal);
+      return ids.map((id) => {
+        const result = results.get(String(id));
+        if (result.error) {
+          throw result.error;
+        }
+        return cloneData(result.item);
+      });
+    }
+
+    /**
+     * Look up items for getItemsByIds, resolving to a Map from ID to
+     * { item } or { error }
+     * @private
+     */
+    async _loadItemsBatch(ids) {
+      const results = new Map();
+
+      if (!this._shared.batchUnsupported.has(this.baseUrl)) {
+        try {
+          const chunks = [];
+          for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+            chunks.push(ids.slice(i, i + MAX_BATCH_SIZE));
+          }
+          const pages = await Promise.all(chunks.map(chunk => this._request(ITEMS_BATCH_ENDPOINT, {
+            method: 'POST',
+            body: JSON.stringify({ ids: chunk }),
+            retry: true
+          })));
+
+          pages.forEach((data) => {
+            const items = Array.isArray(data) ? data : (data && data.items) || [];
+            items.forEach(item => results.set(String(item.id), { item }));
+          });
+          ids.filter(id => !results.has(String(id))).forEach(id => results.set(String(id), { item: null }));
+          return results;
+        } catch (error) {
+          if (!UNSUPPORTED_ENDPOINT_STATUSES.includes(error.status)) {
+            ids.forEach(id => results.set(String(id), { error }));
+            return results;
+          }
+          this._shared.batchUnsupported.add(this.baseUrl);
+        }
+      }
+
+      const bulk = await runBulk(ids, id => this.getItem(id));
+      bulk.succeeded.forEach(({ input, result }) => results.set(String(input), { item: result }));
+      bulk.failed.forEach(({ input, error }) => (
+        results.set(String(input), error instanceof NotFoundError ? { item: null } : { error })
+      ));
+      return results;
+    }
+
+    /**
+     * Find the items most relevant to a query, without generating a chat
+     * reply. Uses the API's search endpoint; if the deployment has none, the
+     * matching items are listed and ranked locally with BM25, whose scores are
+     * relative to the best match (which scores 1).
+     * @param {string} query - Search text
+     * @param {Object} [options] - Search and request options ({ signal, timeout, priority })
+     * @param {number} [options.topK=10] - Maximum number of results
+     * @param {Array<string>} [options.tags] - Only items with all of these tags
+     * @param {number} [options.minScore] - Leave out results scoring below this
+     * @param {boolean} [options.fallback=true] - Rank locally when the API has no search endpoint; false rethrows
+     * @returns {Promise<Array>} { item, score } entries, best match first
+     */
+    async searchItems(query, options = {}) {
+      this._validate(['searchQuery', query], ['searchOptions', options]);
+      const topK = options.topK || DEFAULT_SEARCH_RESULTS;
+      let results = null;
+
+      const unsupportedUntil = this._shared.searchUnsupported.get(this.baseUrl) || 0;
+      if (options.fallback === false || unsupportedUntil <= Date.now()) {
+        try {
+          const body = { query, top_k: topK };
+          if (options.tags) {
+            body.tags = options.tags;
+          }
+          if (options.minScore !== undefined) {
+            body.min_score = options.minScore;
+          }
+          results = normalizeSearchResults(await this._request(ITEMS_SEARCH_ENDPOINT, {
+            ...requestOptions(options),
+            method: 'POST',
+            body: JSON.stringify(body),
+            retry: true
+          }));
+        } catch (error) {
+          if (!UNSUPPORTED_ENDPOINT_STATUSES.includes(error.status) || options.fallback === false) {
+            throw error;
+          }
+          this._shared.searchUnsupported.set(this.baseUrl, Date.now() + SEARCH_UNSUPPORTED_TTL);
+        }
+      }
+
+      if (!results) {
+        // Deployments without a search endpoint may not filter listings by tag either
+        const tags = options.tags || [];
+        const items = (await withSignal(this._searchCorpus(options), options.signal))
+          .filter(item => tags.every(tag => item.tags && item.tags.includes(tag)));
+        results = rankItems(items, query);
+      }
+
+      // Servers may not honour every option, so apply them here as well
+      return results
+        .filter(result => options.minScore === undefined || (result.score !== null && result.score >= options.minScore))
+        .slice(0, topK);
+    }
+
+    /**
+     * List every item for local search ranking. The list is shared by
+     * concurrent searches and reused for SEARCH_CORPUS_TTL, or until an item is
+     * written through this client.
+     * @private
+     */
+    async _searchCorpus(options) {
+      const key = this._scopeKey(await this.auth.getToken());
+      const cached = this._shared.searchCorpus.get(key);
+      if (cached && cached.expires > Date.now()) {
+        return cached.items;
+      }
+
+      const entry = { expires: Date.now() + SEARCH_CORPUS_TTL, items: null };
+      entry.items = (async () => {
+        const items = [];
+        for await (const item of this.iterateItems({}, { timeout: options.timeout, priority: options.priority })) {
+          items.push(item);
+        }
+        return items;
+      })();
+      this._shared.searchCorpus.set(key, entry);
+      entry.items.catch(() => {
+        if (this._shared.searchCorpus.get(key) === entry) {
+          this._shared.searchCorpus.delete(key);
+        }
+      });
+      return entry.items;
+    }
+
+    /**
+     * Create a new item
+     * @param {Object} item - Item data
+     * @param {string} item.title - Item title
+     * @param {string} [item.url] - Item URL
+     * @param {string} [item.text] - Item text content
+     * @param {Array} [item.tags] - Item tags
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse })
+     * @returns {Promise<Object>} Created item
+     */
+    async createItem(item, options = {}) {
+      this._validate(['item', item]);
+
+      try {
+        return await this._request('/api/items', {
+          ...callOptions(options),
+          priority: options.priority || 'low',
+          method: 'POST',
+          body: JSON.stringify(item)
+        });
+      } finally {
+        // Also after a failure: the write may have reached the server
+        this._shared.searchCorpus.clear();
+        if (this.cache) {
+          this.cache.invalidate();
+        }
+      }
+    }
+
+    /**
+     * Update an existing item
+     *
+     * To avoid overwriting someone else's edit, pass the version you started
+     * from: expectedVersion (sent as If-Match) and/or ifUnmodifiedSince, usually
+     * the item's updated_at (sent as If-Unmodified-Since). If the item has changed
+     * since, a ConflictError with the server's current copy is thrown. A weak
+     * ETag is only accepted alongside ifUnmodifiedSince, which is then sent alone.
+     * @param {string|number} id - Item ID
+     * @param {Object} item - Updated item data
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse })
+     * @param {string|number} [options.expectedVersion] - ETag or version the update is based on
+     * @param {string|Date|number} [options.ifUnmodifiedSince] - Time of the copy the update is based on
+     * @returns {Promise<Object>} Updated item
+     */
+    async updateItem(id, item, options = {}) {
+      this._validate(['itemId', id], ['itemUpdate', item]);
+
+      try {
+        return await this._putItem(id, item, options);
+      } catch (error) {
+        if (error instanceof ConflictError && error.current === null) {
+          // Not every server returns its copy with the conflict; fetch it so callers can merge
+          error.current = await this.getItem(id, { ...requestOptions(options), cache: false }).catch(() => null);
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * PUT an item with the preconditions in options, invalidating cached copies
+     * @private
+     */
+    async _putItem(id, item, options) {
+      const preconditions = preconditionHeaders(options);
+
+      try {
+        return await this._request(`/api/items/${id}`, {
+          ...callOptions(options),
+          priority: options.priority || 'low',
+          method: 'PUT',
+          headers: preconditions,
+          body: JSON.stringify(item)
+        });
+      } finally {
+        this._shared.searchCorpus.clear();
+        if (this.cache) {
+          this.cache.invalidate(id);
+        }
+      }
+    }
+
+    /**
+     * Change some fields of an item without overwriting concurrent edits to
+     * the others. The item is read, the changes applied and the result written
+     * back with a precondition. If someone else updated the item meanwhile,
+     * their copy is read again and the changes re-applied, as long as they did
+     * not touch any of the same fields. Otherwise a ConflictError is thrown
+     * whose conflicts lists those fields.
+     *
+     * The item must carry a strong ETag, version or updated_at to send as the
+     * precondition; without one a PlayPathError is thrown rather than risking
+     * an unchecked overwrite. Weak ETags are skipped, as If-Match never
+     * matches them.
+     * @param {string|number} id - Item ID
+     * @param {Object} changes - Fields to change
+     * @param {Object} [options] - Request options ({ signal, timeout })
+     * @param {number} [options.maxAttempts=3] - Writes to try before giving up
+     * @returns {Promise<Object>} Updated item
+     */
+    async patchItem(id, changes, options = {}) {
+      this._validate(['itemId', id], ['itemUpdate', changes]);
+      const maxAttempts = options.maxAttempts || DEFAULT_PATCH_ATTEMPTS;
+      const read = () => this.getItem(id, { ...requestOptions(options), cache: false, fullResponse: true });
+      let base = await read();
+
+      for (let attempt = 1; ; attempt++) {
+        const etag = isWeakETag(base.headers.etag) ? undefined : base.headers.etag;
+        const expectedVersion = etag || base.data.version;
+        const ifUnmodifiedSince = base.data.updated_at;
+        if (expectedVersion === undefined && !ifUnmodifiedSince) {
+          throw new PlayPathError(
+            `Cannot patch item ${id} safely: it has no strong ETag, version or updated_at to send as a precondition; use updateItem to overwrite it`
+          );
+        }
+
+        try {
+          return await this._putItem(id, { ...editableFields(base.data), ...changes }, {
+            ...requestOptions(options),
+            expectedVersion,
+            ifUnmodifiedSince
+          });
+        } catch (error) {
+          if (!(error instanceof ConflictError) || attempt >= maxAttempts) {
+            throw error;
+          }
+
+          // Servers that version items in the body may send their copy with the
+          // conflict; otherwise read it, once per conflict
+          const sent = error.current;
+          const usable = sent && !etag && (sent.version !== undefined || sent.updated_at);
+          const latest = usable ? { data: sent, headers: {} } : await read();
+          const conflicts = Object.keys(changes).filter(field => (
+            !sameValue(latest.data[field], base.data[field]) && !sameValue(latest.data[field], changes[field])
+          ));
+          if (conflicts.length > 0) {
+            error.current = latest.data;
+            error.conflicts = conflicts;
+            throw error;
+          }
+          base = latest;
+        }
+      }
+    }
+
+    /**
+     * Delete an item
+     * @param {string|number} id - Item ID
+     * @param {Object} [options] - Request options ({ signal, timeout, fullResponse })
+     * @returns {Promise<Object>} Delete confirmation
+     */
+    async deleteItem(id, options = {}) {
+      this._validate(['itemId', id]);
+      try {
+        return await this._request(`/api/items/${id}`, {
+          ...callOptions(options),
+          priority: options.priority || 'low',
+          method: 'DELETE'
+        });
+      } finally {
+        this._shared.searchCorpus.clear();
+        if (this.cache) {
+          this.cache.invalidate(id);
+        }
+      }
+    }
+
+    /**
+     * Utility Methods
+     */
+
+    /**
+     * Format chat history for RAG API
+     * @param {Array} messages - Array of message objects
+     * @returns {Array} Formatted history
+     */
+    formatChatHistory(messages) {
+      return messages.map(msg => ({
+        role: msg.role || 'user',
+        text: msg.text || msg.message || msg.content || ''
+      }));
+    }
+
+    /**
+     * Trim chat history to fit a turn or size budget
+     * @param {Array} history - Chat history array
+     * @param {Object} trim - Trim limits ({ strategy, maxTurns, maxChars, maxTokens, keepFirst })
+     * @param {string} [reserved] - Text that shares the budget, such as the next message
+     * @returns {Object} { history, dropped }
+     */
+    trimChatHistory(history, trim, reserved = '') {
+      return trimChatHistory(history, trim, reserved);
+    }
+
+    /**
+     * Condense chat history entries into a single summary entry via ragChat
+     * @private
+     */
+    async _summarizeHistory(messages, trim, maxChars, options) {
+      const transcript = messages
+        .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.text}`)
+        .join('\n');
+      const response = await this.ragChat({
+        message: `${trim.summaryPrompt || DEFAULT_SUMMARY_PROMPT}\n\n${transcript}`
+      }, options);
+
+      const text = `${SUMMARY_PREFIX}${response.reply}`;
+      return { role: 'assistant', text: text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text };
+    }
+
+    /**
+     * Create a chat session helper
+     * @param {string} [systemPrompt] - System prompt for the session
+     * @param {Object} [options] - Session options
+     * @param {string} [options.id] - Session ID (generated when omitted)
+     * @param {Array} [options.history] - Initial chat history
+     * @param {Object} [options.store] - Storage adapter used to persist the session, defaults to config.sessionStore
+     * @param {Object} [options.trim] - Limits applied to the history sent with each message
+     * @param {string} [options.trim.strategy='drop-oldest'] - 'drop-oldest', 'sliding-window' or 'summarize'
+     * @param {number} [options.trim.maxTurns] - Maximum number of history entries sent
+     * @param {number} [options.trim.maxChars] - Approximate character budget, including the message and system prompt
+     * @param {number} [options.trim.maxTokens] - Approximate token budget (about 4 characters per token)
+     * @param {number} [options.trim.keepFirst=2] - Leading entries always kept by the sliding-window strategy
+     * @param {string} [options.trim.summaryPrompt] - Instruction used by the summarize strategy
+     * @param {Function} [options.onBeforeSend] - Called with the final chat parameters before each request
+     * @param {Object} [options.filter] - Default retrieval filter for every message, as for ragChat
+     * @returns {Object} Chat session object
+     */
+    createChatSession(systemPrompt = null, options = {}) {
+      this._validate(['retrievalFilter', options.filter]);
+      const id = options.id || generateId();
+      const store = options.store || this.sessionStore;
+      const trim = options.trim || null;
+      const onBeforeSend = options.onBeforeSend;
+      const history = options.history ? options.history.map(msg => ({ role: msg.role, text: msg.text })) : [];
+      let filter = options.filter || null;
+      const createdAt = options.createdAt || new Date().toISOString();
+      let updatedAt = options.updatedAt || createdAt;
+
+      if (trim && trim.strategy && !TRIM_STRATEGIES.includes(trim.strategy)) {
+        throw new PlayPathError(`Unknown trim strategy: ${trim.strategy}`);
+      }
+
+      const toJSON = () => ({
+        version: SESSION_FORMAT_VERSION,
+        id,
+        systemPrompt,
+        ...(filter ? { filter: { ...filter } } : {}),
+        history: history.map(msg => ({ ...msg })),
+        createdAt,
+        updatedAt
+      });
+
+      // Persist after every change; resolves immediately when no store is configured
+      const persist = async () => {
+        updatedAt = new Date().toISOString();
+        if (store) {
+          await store.set(id, toJSON());
+        }
+      };
+
+      const preparePayload = (message, options = {}) => {
+        const params = {
+          message,
+          history: trim ? trimChatHistory(history, trim, message + (systemPrompt || '')).history : [...history]
+        };
+
+        if (systemPrompt) {
+          params.system_prompt = systemPrompt;
+        }
+
+        // A message's filter overrides the session's field by field; null sends none
+        const scope = options.filter === null ? null : { ...filter, ...options.filter };
+        if (scope && Object.keys(scope).length > 0) {
+          params.filter = scope;
+        }
+
+        return params;
+      };
+
+      // Build the request for a message. With the summarize strategy, turns
+      // that no longer fit are replaced by a summary; the returned history is
+      // what the session holds once the request succeeds.
+      const prepareRequest = async (message, options) => {
+        let params = preparePayload(message, options);
+        let nextHistory = history;
+
+        if (trim && trim.strategy === 'summarize') {
+          // Leave room for the summary entry itself, and cut the summary to
+          // that room, so that together they stay within the budget
+          const { limits, room } = summaryLimits(trim);
+          const { history: kept, dropped } = trimChatHistory(history, limits, message + (systemPrompt || ''));
+          if (dropped.length > 0) {
+            nextHistory = [await this._summarizeHistory(dropped, trim, room, requestOptions(options)), ...kept];
+            params = { ...params, history: [...nextHistory] };
+          }
+        }
+
+        if (typeof onBeforeSend === 'function') {
+          onBeforeSend(params);
+        }
+
+        return { params, nextHistory };
+      };
+
+      // Add to history only once the reply has arrived, so aborted or
+      // failed requests leave the session untouched
+      const commit = (nextHistory, message, reply) => {
+        history.splice(0, history.length, ...nextHistory);
+        history.push({ role: 'user', text: message });
+        history.push({ role: 'assistant', text: reply });
+        return persist();
+      };
+
+      return {
+        /**
+         * Session ID, used as the storage key
+         */
+        id,
+
+        /**
+         * Send a message in this chat session
+         * @param {string} message - The message to send
+         * @param {Object} [options] - Request options ({ signal, timeout })
+         * @param {Object|null} [options.filter] - Retrieval filter fields overriding the session's; null for none
+         * @returns {Promise<Object>} Response from RAG API
+         */
+        sendMessage: async (message, options = {}) => {
+          const { params, nextHistory } = await prepareRequest(message, options);
+          const response = await this.ragChat(params, requestOptions(options));
+
+          await commit(nextHistory, message, response.reply);
+
+          return response;
+        },
+
+        /**
+         * Stream a reply in this chat session. The user and assistant turns are
+         * added to history only after the stream completes successfully.
+         * @param {string} message - The message to send
+         * @param {Object} [options] - Stream options
+         * @param {Function} [options.onToken] - Called with (token, partialReply) as tokens arrive
+         * @param {AbortSignal} [options.signal] - Signal to cancel the stream
+         * @param {number} [options.timeout] - Timeout in milliseconds for the response to start
+         * @param {Object|null} [options.filter] - Retrieval filter fields overriding the session's; null for none
+         * @returns {Promise<string>} The complete reply text
+         */
+        streamMessage: async (message, options = {}) => {
+          const { params, nextHistory } = await prepareRequest(message, options);
+          const stream = this.streamRagChat(params, requestOptions(options));
+          let partial = '';
+
+          for await (const event of stream) {
+            if (event.type === 'token') {
+              partial += event.token;
+              if (typeof options.onToken === 'function') {
+                options.onToken(event.token, partial);
+              }
+            }
+          }
+
+          // Rejects on error or abort, before history is touched
+          const response = await stream.finalResponse();
+
+          await commit(nextHistory, message, response.reply);
+
+          return response.reply;
+        },
+
+        /**
+         * Preview the payload sendMessage would send, after trimming. Turns the
+         * summarize strategy would condense are shown as dropped.
+         * @param {string} message - The message to send
+         * @param {Object} [options] - Message options ({ filter })
+         * @returns {Object} RAG chat parameters
+         */
+        preparePayload,
+
+        /**
+         * Get current chat history
+         * @returns {Array} Chat history
+         */
+        getHistory: () => [...history],
+
+        /**
+         * Clear chat history
+         */
+        clearHistory: () => {
+          history.length = 0;
+          return persist();
+        },
+
+        /**
+         * Set system prompt
+         * @param {string} prompt - New system prompt
+         */
+        setSystemPrompt: (prompt) => {
+          systemPrompt = prompt;
+          return persist();
+        },
+
+        /**
+         * Get the default retrieval filter
+         * @returns {Object|null} Retrieval filter
+         */
+        getFilter: () => (filter ? { ...filter } : null),
+
+        /**
+         * Set the default retrieval filter for later messages
+         * @param {Object|null} nextFilter - Retrieval filter, or null to search all items
+         */
+        setFilter: (nextFilter) => {
+          this._validate(['retrievalFilter', nextFilter]);
+          filter = nextFilter || null;
+          return persist();
+        },
+
+        /**
+         * Serialize the session for storage or transfer
+         * @returns {Object} Plain object accepted by restoreChatSession
+         */
+        toJSON,
+
+        /**
+         * Write the session to its storage adapter
+         * @returns {Promise<void>}
+         */
+        save: persist
+      };
+    }
+
+    /**
+     * Recreate a chat session from the output of session.toJSON()
+     * @param {Object|string} json - Serialized session, as an object or JSON string
+     * @param {Object} [options] - Session options ({ store })
+     * @returns {Object} Chat session object
+     */
+    restoreChatSession(json, options = {}) {
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+      if (!data || typeof data !== 'object' || !Array.isArray(data.history)) {
+        throw new PlayPathError('Invalid chat session data');
+      }
+      // Sessions saved before versioning have none; newer formats may mean something else
+      if (data.version !== undefined && data.version !== SESSION_FORMAT_VERSION) {
+        throw new PlayPathError(`Unsupported chat session version ${data.version}; expected ${SESSION_FORMAT_VERSION}`);
+      }
+
+      return this.createChatSession(data.systemPrompt || null, {
+        filter: data.filter || null,
+        ...options,
+        id: data.id,
+        history: data.history,
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt
+      });
+    }
+
+    /**
+     * Load a previously saved chat session from a storage adapter
+     * @param {string} id - Session ID
+     * @param {Object} [options] - Session options ({ store })
+     * @returns {Promise<Object|null>} Chat session object, or null if not found
+     */
+    async loadChatSession(id, options = {}) {
+      const store = this._sessionStore(options);
+      const data = await store.get(id);
+      return data ? this.restoreChatSession(data, options) : null;
+    }
+
+    /**
+     * Remove a saved chat session from a storage adapter
+     * @param {string} id - Session ID
+     * @param {Object} [options] - Session options ({ store })
+     * @returns {Promise<void>}
+     */
+    async deleteChatSession(id, options = {}) {
+      await this._sessionStore(options).delete(id);
+    }
+
+    /**
+     * @private
+     */
+    _sessionStore(options) {
+      const store = options.store || this.sessionStore;
+      if (!store) {
+        throw new PlayPathError('No session store configured');
+      }
+      return store;
+    }
+  }
+
+  /**
+   * Bulk and backup operations on knowledge base items, available as sdk.items
+   */
+  class PlayPathItems {
+    /**
+     * @param {PlayPathSDK} sdk - Client used for the underlying requests
+     */
+    constructor(sdk) {
+      this._sdk = sdk;
+    }
+
+    /**
+     * Create many items
+     * @param {Array<Object>} items - Items to create
+     * @param {Object} [options] - Bulk options
+     * @param {number} [options.concurrency=5] - Maximum requests in flight
+     * @param {Function} [options.onProgress] - Called with { completed, total, succeeded, failed } after each item
+     * @param {AbortSignal} [options.signal] - Signal to stop the operation; unstarted items are reported as failed
+     * @param {number} [options.timeout] - Per-request timeout in milliseconds
+     * @returns {Promise<Object>} { total, succeeded: [{ index, input, result }], failed: [{ index, input, error }] }
+     */
+    bulkCreate(items, options = {}) {
+      return runBulk(items, item => this._sdk.createItem(item, requestOptions(options)), options);
+    }
+
+    /**
+     * Update items that have an id and create the rest, including items whose
+     * id the server does not know
+     * @param {Array<Object>} items - Items to create or update
+     * @param {Object} [options] - Bulk options, as for bulkCreate
+     * @returns {Promise<Object>} Bulk result, as for bulkCreate
+     */
+    bulkUpsert(items, options = {}) {
+      return runBulk(items, item => this._upsert(item, options), options);
+    }
+
+    /**
+     * Update an item by id, creating it when it has no id or the server does not know the id
+     * @private
+     */
+    async _upsert(item, options) {
+      if (item.id === undefined || item.id === null) {
+        return this._sdk.createItem(item, requestOptions(options));
+      }
+
+      const { id, ...changes } = item;
+      try {
+        return await this._sdk.updateItem(id, changes, requestOptions(options));
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+        // Send the id along so servers that accept client ids keep it
+        return this._sdk.createItem(item, requestOptions(options));
+      }
+    }
+
+    /**
+     * Delete many items
+     * @param {Array<string|number>} ids - IDs of the items to delete
+     * @param {Object} [options] - Bulk options, as for bulkCreate
+     * @returns {Promise<Object>} Bulk result, as for bulkCreate
+     */
+    bulkDelete(ids, options = {}) {
+      return runBulk(ids, id => this._sdk.deleteItem(id, requestOptions(options)), options);
+    }
+
+    /**
+     * Split a document into chunks without creating any items
+     * @param {string} content - Plain text, Markdown or HTML
+     * @param {Object} [options] - Chunking options ({ format, chunkSize, chunkOverlap }), as for ingest
+     * @returns {Array<Object>} Chunks as { index, heading, text }
+     */
+    chunk(content, options = {}) {
+      return chunkDocument(content, options);
+    }
+
+    /**
+     * Split a long document into chunks and create one item per chunk. Every
+     * chunk shares the source url and a `source:<id>` tag, and is tagged with
+     * its position as `chunk:<index>`.
+     * @param {string} content - Plain text, Markdown or HTML
+     * @param {Object} [options] - Ingestion options
+     * @param {string} [options.format] - 'text', 'markdown' or 'html' (detected when omitted)
+     * @param {number} [options.chunkSize=1500] - Target chunk size in characters
+     * @param {number} [options.chunkOverlap=200] - Characters repeated from the previous chunk
+     * @param {string} [options.title] - Source title, used in item titles
+     * @param {string} [options.url] - Source URL, set on every item
+     * @param {string} [options.sourceId] - Identifies the source for re-ingestion, defaults to url or title
+     * @param {Array<string>} [options.tags] - Extra tags for every item
+     * @param {boolean} [options.replace=false] - Delete the source's previous chunks once the new ones are created
+     * @returns {Promise<Object>} { sourceTag, chunks, created, deleted } where created and deleted are bulk results
+     */
+    async ingest(content, options = {}) {
+      const sourceId = options.sourceId || options.url || options.title;
+      if (!sourceId) {
+        throw new PlayPathError('ingest requires a sourceId, url or title to identify the source', 400);
+      }
+
+      const sourceTag = `source:${sourceId}`;
+      const chunks = chunkDocument(content, options);
+
+      // Look up the previous version first so the new chunks are never mistaken for it
+      const previous = [];
+      if (options.replace) {
+        for await (const item of this._sdk.iterateItems({ tags: [sourceTag] }, requestOptions(options))) {
+          if (item.tags && item.tags.includes(sourceTag)) {
+            previous.push(item.id);
+          }
+        }
+      }
+
+      const items = chunks.map(chunk => {
+        const heading = chunk.heading !== options.title ? chunk.heading : null;
+        const title = [options.title, heading].filter(Boolean).join(' - ') || sourceId;
+        const item = {
+          title: `${title} (${chunk.index + 1}/${chunks.length})`,
+          text: chunk.text,
+          tags: [...(options.tags || []), sourceTag, `chunk:${chunk.index}`]
+        };
+        if (options.url) {
+          item.url = options.url;
+        }
+        return item;
+      });
+
+      const created = await this.bulkCreate(items, options);
+
+      // Keep the previous version unless the new one was created in full
+      const deleted = previous.length > 0 && created.failed.length === 0
+        ? await this.bulkDelete(previous, options)
+        : null;
+
+      return { sourceTag, chunks: chunks.length, created, deleted };
+    }
+
+    /**
+     * Explore the neighbor graph breadth-first from one item. Items are fetched
+     * level by level with getItem; items at the last level are taken from their
+     * parent's neighbor list without being fetched. Each item is visited once,
+     * however many paths lead to it.
+     * @param {string|number} startId - ID of the item to start from
+     * @param {Object} [options] - Traversal options
+     * @param {number} [options.depth=2] - Neighbor hops to follow from the start item
+     * @param {number} [options.maxNodes=100] - Stop once this many items are collected
+     * @param {Function} [options.filter] - (item, { depth, parent }) => boolean; rejected items are skipped and not expanded
+     * @param {number} [options.concurrency=5] - Maximum requests in flight
+     * @param {AbortSignal} [options.signal] - Signal to stop the traversal
+     * @param {number} [options.timeout] - Per-request timeout in milliseconds
+     * @returns {Promise<ItemGraph>} The items reached and the neighbor links between them
+     */
+    async traverse(startId, options = {}) {
+      this._sdk._validate(['itemId', startId]);
+      const maxDepth = options.depth === undefined ? DEFAULT_TRAVERSE_DEPTH : options.depth;
+      const maxNodes = options.maxNodes || DEFAULT_TRAVERSE_NODES;
+      const filter = options.filter || (() => true);
+      const graph = new ItemGraph(startId);
+      const links = [];
+
+      const start = await this._sdk.getItem(startId, requestOptions(options));
+      graph.nodes.set(String(start.id ?? startId), { item: start, depth: 0 });
+      let level = [start];
+
+      for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+        const next = [];
+        level.forEach((parent) => {
+          (parent.neighbors || []).forEach((neighbor) => {
+            links.push({ from: parent.id, to: neighbor.id, score: neighbor.score ?? neighbor.similarity ?? null });
+            const key = String(neighbor.id);
+            if (graph.nodes.has(key) || !filter(neighbor, { depth, parent })) {
+              return;
+            }
+            if (graph.nodes.size >= maxNodes) {
+              graph.truncated = true;
+              return;
+            }
+            graph.nodes.set(key, { item: neighbor, depth });
+            next.push(neighbor);
+          });
+        });
+
+        if (depth === maxDepth || next.length === 0) {
+          break;
+        }
+
+        // Fetch the new level to learn its neighbors
+        const fetched = await runBulk(next, item => this._sdk.getItem(item.id, requestOptions(options)), {
+          concurrency: options.concurrency,
+          signal: options.signal
+        });
+        if (options.signal && options.signal.aborted) {
+          throw new PlayPathAbortError();
+        }
+        fetched.failed.forEach(({ input, error }) => graph.errors.push({ id: input.id, error }));
+        level = fetched.succeeded.map(({ input, result }) => {
+          graph.nodes.get(String(input.id)).item = result;
+          return result;
+        });
+      }
+
+      // Keep only the links between items that made it into the graph
+      const seen = new Set();
+      links.forEach((link) => {
+        const key = `${link.from}\u0000${link.to}`;
+        if (graph.has(link.from) && graph.has(link.to) && !seen.has(key)) {
+          seen.add(key);
+          graph.edges.push(link);
+        }
+      });
+      return graph;
+    }
+
+    /**
+     * Export matching items as newline-delimited JSON
+     * @param {Object} [params] - Listing parameters, as for getItems
+     * @param {Object} [options] - Request options ({ signal, timeout })
+     * @returns {AsyncGenerator<string>} One JSON line per item, each ending in a newline
+     */
+    async *exportItems(params = {}, options = {}) {
+      for await (const item of this._sdk.iterateItems(params, options)) {
+        yield `${JSON.stringify(item)}\n`;
+      }
+    }
+
+    /**
+     * Import items from newline-delimited JSON, as written by exportItems
+     * @param {string|Iterable|AsyncIterable} source - NDJSON text, or chunks of it (e.g. a file stream)
+     * @param {Object} [options] - Bulk options, as for bulkCreate
+     * @param {string} [options.mode='upsert'] - 'upsert' keeps IDs, updating existing items and creating missing ones; 'create' always creates new items
+     * @returns {Promise<Object>} Bulk result; index is the zero-based line number
+     */
+    async importItems(source, options = {}) {
+      const mode = options.mode || 'upsert';
+      if (!IMPORT_MODES.includes(mode)) {
+        throw new PlayPathValidationError([`mode must be one of: ${IMPORT_MODES.join(', ')}`]);
+      }
+
+      const importLine = ({ index, line }) => {
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          throw new PlayPathError(`Invalid JSON on line ${index + 1}: ${error.message}`, null, line);
+        }
+
+        if (mode === 'create') {
+          const { id, ...fields } = item;
+          return this._sdk.createItem(fields, requestOptions(options));
+        }
+        return this._upsert(item, options);
+      };
+
+      const result = { total: 0, succeeded: [], failed: [] };
+      let batch = [];
+      let lineNumber = 0;
+
+      // Lines are imported in batches as they are read, so a large file is
+      // never held in memory at once. Progress totals count the lines read so far.
+      const flush = async () => {
+        const before = { succeeded: result.succeeded.length, failed: result.failed.length };
+        const onProgress = options.onProgress && (progress => options.onProgress({
+          completed: before.succeeded + before.failed + progress.completed,
+          total: result.total,
+          succeeded: before.succeeded + progress.succeeded,
+          failed: before.failed + progress.failed
+        }));
+        const { succeeded, failed } = await runBulk(batch, importLine, { ...options, onProgress });
+        batch = [];
+
+        // Report positions in the source rather than among non-empty lines
+        const toLine = entry => ({ ...entry, index: entry.input.index, input: entry.input.line });
+        result.succeeded.push(...succeeded.map(toLine));
+        result.failed.push(...failed.map(toLine));
+      };
+
+      for await (const line of readLines(source)) {
+        const index = lineNumber++;
+        if (line.trim()) {
+          batch.push({ index, line });
+          result.total++;
+        }
+        if (batch.length >= IMPORT_BATCH_SIZE) {
+          await flush();
+        }
+      }
+      if (batch.length > 0) {
+        await flush();
+      }
+      return result;
+    }
+  }
+
+  /**
+   * Default number of neighbor hops traverse() follows from the start item
+   */
+  const DEFAULT_TRAVERSE_DEPTH = 2;
+
+  /**
+   * Default number of items traverse() collects
+   */
+  const DEFAULT_TRAVERSE_NODES = 100;
+
+  /**
+   * Escape a string for use as a quoted DOT identifier or label
+   * @private
+   */
+  function dotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+  }
+
+  /**
+   * The part of the neighbor graph reached by PlayPathItems.traverse().
+   * Nodes are keyed by item ID; edges point from an item to its neighbors.
+   */
+  class ItemGraph {
+    /**
+     * @param {string|number} rootId - ID of the start item
+     */
+    constructor(rootId) {
+      this.rootId = rootId;
+      this.nodes = new Map();
+      this.edges = [];
+      this.errors = [];
+      this.truncated = false;
+    }
+
+    /**
+     * Number of items in the graph
+     */
+    get size() {
+      return this.nodes.size;
+    }
+
+    /**
+     * @param {string|number} id - Item ID
+     * @returns {boolean}
+     */
+    has(id) {
+      return this.nodes.has(String(id));
+    }
+
+    /**
+     * @param {string|number} id - Item ID
+     * @returns {Object|null} The item, or null if it is not in the graph
+     */
+    get(id) {
+      const node = this.nodes.get(String(id));
+      return node ? node.item : null;
+    }
+
+    /**
+     * IDs of an item's neighbors within the graph
+     * @param {string|number} id - Item ID
+     * @returns {Array<string|number>}
+     */
+    neighbors(id) {
+      const key = String(id);
+      return this.edges.filter(edge => String(edge.from) === key).map(edge => edge.to);
+    }
+
+    /**
+     * @returns {Object} Map from each item ID to the IDs of its neighbors
+     */
+    adjacencyList() {
+      const list = {};
+      this.nodes.forEach((node, key) => {
+        list[key] = [];
+      });
+      this.edges.forEach((edge) => {
+        list[String(edge.from)].push(edge.to);
+      });
+      return list;
+    }
+
+    /**
+     * Shortest chain of neighbor links between two items in the graph
+     * @param {string|number} fromId - Start item ID
+     * @param {string|number} toId - Target item ID
+     * @returns {Array<Object>|null} Items along the path, both ends included, or null if unreachable
+     */
+    shortestPath(fromId, toId) {
+      const start = String(fromId);
+      const target = String(toId);
+      if (!this.nodes.has(start) || !this.nodes.has(target)) {
+        return null;
+      }
+
+      const adjacency = this.adjacencyList();
+      const previous = new Map([[start, null]]);
+      const queue = [start];
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === target) {
+          const path = [];
+          for (let key = target; key !== null; key = previous.get(key)) {
+            path.unshift(this.nodes.get(key).item);
+          }
+          return path;
+        }
+        adjacency[current].forEach((neighbor) => {
+          const key = String(neighbor);
+          if (!previous.has(key)) {
+            previous.set(key, current);
+            queue.push(key);
+          }
+        });
+      }
+      return null;
+    }
+
+    /**
+     * @returns {Object} { root, nodes: [{ id, depth, item }], edges: [{ from, to, score }], truncated }
+     */
+    toJSON() {
+      return {
+        root: this.rootId,
+        nodes: [...this.nodes.values()].map(({ item, depth }) => ({ id: item.id, depth, item })),
+        edges: this.edges.map(edge => ({ ...edge })),
+        truncated: this.truncated
+      };
+    }
+
+    /**
+     * Graphviz DOT source for the graph
+     * @param {Object} [options]
+     * @param {Function} [options.label] - (item) => label; defaults to the title
+     * @returns {string}
+     */
+    toDOT(options = {}) {
+      const label = options.label || (item => item.title || item.id);
+      const lines = ['digraph items {'];
+      this.nodes.forEach((node, key) => {
+        lines.push(`  ${dotString(key)} [label=${dotString(label(node.item))}];`);
+      });
+      this.edges.forEach((edge) => {
+        lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)};`);
+      });
+      lines.push('}');
+      return `${lines.join('\n')}\n`;
+    }
+  }
+
+  /**
+   * Session storage adapters
+   *
+   * An adapter implements get(id), set(id, data) and delete(id). Methods may
+   * return promises; get resolves to null for unknown IDs.
+   */
+
+  /**
+   * Keeps sessions in memory for the lifetime of the process
+   */
+  class MemoryStorageAdapter {
+    constructor() {
+      this._sessions = new Map();
+    }
+
+    async get(id) {
+      const data = this._sessions.get(id);
+      return data ? JSON.parse(data) : null;
+    }
+
+    async set(id, data) {
+      this._sessions.set(id, JSON.stringify(data));
+    }
+
+    async delete(id) {
+      this._sessions.delete(id);
+    }
+  }
+
+  /**
+   * Keeps sessions in the browser's localStorage
+   */
+  class LocalStorageAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Storage object, defaults to window.localStorage
+     * @param {string} [options.prefix='playpath:session:'] - Key prefix
+     */
+    constructor(options = {}) {
+      this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+      this.prefix = options.prefix || 'playpath:session:';
+
+      if (!this.storage) {
+        throw new PlayPathError('localStorage is not available in this environment');
+      }
+    }
+
+    async get(id) {
+      const data = this.storage.getItem(this.prefix + id);
+      return data ? JSON.parse(data) : null;
+    }
+
+    async set(id, data) {
+      this.storage.setItem(this.prefix + id, JSON.stringify(data));
+    }
+
+    async delete(id) {
+      this.storage.removeItem(this.prefix + id);
+    }
+  }
+
+  /**
+   * Keeps all sessions in a single JSON file on disk (Node.js only)
+   */
+  class FileStorageAdapter {
+    /**
+     * @param {string} filePath - Path of the JSON file, created on first write
+     */
+    constructor(filePath) {
+      if (typeof require !== 'function') {
+        throw new PlayPathError('FileStorageAdapter is only available in Node.js');
+      }
+      this.filePath = filePath;
+      this._fs = require('fs').promises;
+      this._writes = Promise.resolve();
+    }
+
+    async get(id) {
+      await this._writes;
+      const sessions = await this._read();
+      return sessions[id] || null;
+    }
+
+    set(id, data) {
+      return this._update(sessions => {
+        sessions[id] = data;
+      });
+    }
+
+    delete(id) {
+      return this._update(sessions => {
+        delete sessions[id];
+      });
+    }
+
+    /**
+     * @private
+     */
+    async _read() {
+      try {
+        return JSON.parse(await this._fs.readFile(this.filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return {};
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * Serialize read-modify-write cycles and replace the file atomically
+     * @private
+     */
+    _update(mutate) {
+      const write = this._writes.then(async () => {
+        const sessions = await this._read();
+        mutate(sessions);
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await this._fs.writeFile(tempPath, JSON.stringify(sessions, null, 2));
+        await this._fs.rename(tempPath, this.filePath);
+      });
+      // Keep the queue alive after a failed write; the caller still sees the error
+      this._writes = write.catch(() => {});
+      return write;
+    }
+  }
+
+  /**
+   * Default time a cached item response is served without asking the API
+   */
+  const DEFAULT_CACHE_TTL = 60000;
+
+  /**
+   * Default number of responses kept by MemoryCacheStore
+   */
+  const DEFAULT_CACHE_SIZE = 500;
+
+  /**
+   * Credential and header sets a ResponseCache remembers IDs for
+   */
+  const MAX_CACHE_SCOPES = 1000;
+
+  /**
+   * Request headers as [lowercased name, value] pairs sorted by name, so
+   * equivalent header objects compare equal
+   * @private
+   */
+  function sortedHeaders(headers = {}) {
+    return Object.keys(headers)
+      .map(name => [name.toLowerCase(), String(headers[name])])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  }
+
+  /**
+   * In-memory response cache store that evicts the least recently used entry
+   * once maxEntries is reached
+   */
+  class MemoryCacheStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=500] - Maximum number of cached responses
+     */
+    constructor(options = {}) {
+      this.maxEntries = options.maxEntries || DEFAULT_CACHE_SIZE;
+      this.evictions = 0;
+      this._entries = new Map();
+    }
+
+    get size() {
+      return this._entries.size;
+    }
+
+    async get(key) {
+      const entry = this._entries.get(key);
+      if (entry === undefined) {
+        return null;
+      }
+      // Re-insert to mark as most recently used
+      this._entries.delete(key);
+      this._entries.set(key, entry);
+      return JSON.parse(entry);
+    }
+
+    async set(key, entry) {
+      this._entries.delete(key);
+      this._entries.set(key, JSON.stringify(entry));
+      while (this._entries.size > this.maxEntries) {
+        this._entries.delete(this._entries.keys().next().value);
+        this.evictions++;
+      }
+    }
+
+    async delete(key) {
+      this._entries.delete(key);
+    }
+
+    async clear() {
+      this._entries.clear();
+    }
+  }
+
+  /**
+   * Cache for item reads. Fresh entries are served without a request; once
+   * their TTL has passed they are revalidated with If-None-Match and
+   * If-Modified-Since, so an unchanged item costs a 304 instead of a full body.
+   *
+   * Keys include the base URL and an opaque ID for the credential and
+   * headers, so clients for different tenants never see each other's entries.
+   * The IDs are random and only kept in memory: keys reveal nothing about the
+   * credential to a shared store, and entries are not reused by other
+   * processes. Writes invalidate by bumping a generation that is part of the
+   * key rather than deleting entries, which works with any store; orphaned
+   * entries age out of the store.
+   */
+  class ResponseCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl=60000] - Milliseconds a response is served without revalidation
+     * @param {number} [options.maxEntries=500] - Size of the default memory store
+     * @param {Object} [options.store] - Store with get(key), set(key, entry), delete(key) and optional clear()
+     */
+    constructor(options = {}) {
+      this.ttl = options.ttl === undefined ? DEFAULT_CACHE_TTL : options.ttl;
+      this.store = options.store || new MemoryCacheStore({ maxEntries: options.maxEntries });
+      this._epoch = 0;
+      this._listGeneration = 0;
+      this._itemGenerations = new Map();
+      this._scopes = new Map();
+      this._stats = { hits: 0, misses: 0, revalidations: 0, invalidations: 0 };
+    }
+
+    /**
+     * Cache key for a GET request
+     * @param {string} baseUrl - Base URL of the client
+     * @param {string} credential - Credential the request is sent with
+     * @param {string} endpoint - Endpoint path including the query string
+     * @param {string|number|null} itemId - Item the response describes, or null for listings
+     * @param {Object} [headers] - Headers the request is sent with
+     * @returns {string}
+     */
+    key(baseUrl, credential, endpoint, itemId, headers) {
+      const generation = itemId === null
+        ? `l${this._listGeneration}`
+        : `i${this._itemGenerations.get(String(itemId)) || 0}`;
+      return `${baseUrl}|${this._scopeId(credential, headers)}|${this._epoch}.${generation}|${endpoint}`;
+    }
+
+    /**
+     * Random ID standing in for a credential and header set in cache keys
+     * @private
+     */
+    _scopeId(credential, headers) {
+      const scope = JSON.stringify([credential || null, sortedHeaders(headers)]);
+      let id = this._scopes.get(scope);
+      if (!id) {
+        id = generateId();
+        this._scopes.set(scope, id);
+        // Rotating tokens add a scope each; forget the oldest, whose entries just miss
+        if (this._scopes.size > MAX_CACHE_SCOPES) {
+          this._scopes.delete(this._scopes.keys().next().value);
+        }
+      }
+      return id;
+    }
+
+    /**
+     * Serve a request from the cache, revalidating or loading it as needed
+     * @param {string} key - Cache key from key()
+     * @param {Function} load - Performs the request with extra headers, resolving to { data, status, headers }
+     * @returns {Promise<Object>} { data, status, headers }
+     */
+    async fetch(key, load) {
+      const entry = await this.store.get(key);
+      if (entry && Date.now() < entry.expiresAt) {
+        this._stats.hits++;
+        return entry.response;
+      }
+
+      const validators = {};
+      if (entry && entry.response.headers.etag) {
+        validators['If-None-Match'] = entry.response.headers.etag;
+      }
+      if (entry && entry.response.headers['last-modified']) {
+        validators['If-Modified-Since'] = entry.response.headers['last-modified'];
+      }
+
+      const response = await load(validators);
+      if (response.status === 304 && entry) {
+        this._stats.revalidations++;
+        await this.store.set(key, { response: entry.response, expiresAt: Date.now() + this.ttl });
+        return entry.response;
+      }
+
+      this._stats.misses++;
+      const cacheControl = response.headers['cache-control'] || '';
+      if (response.status === 200 && !/\bno-store\b/i.test(cacheControl)) {
+        await this.store.set(key, { response, expiresAt: Date.now() + this.ttl });
+      }
+      return response;
+    }
+
+    /**
+     * Forget cached listings and, if given, the cached copies of one item
+     * @param {string|number} [itemId] - Item that changed
+     */
+    invalidate(itemId) {
+      if (itemId !== undefined && itemId !== null) {
+        const id = String(itemId);
+        this._itemGenerations.set(id, (this._itemGenerations.get(id) || 0) + 1);
+      }
+      this._listGeneration++;
+      this._stats.invalidations++;
+    }
+
+    /**
+     * Drop every cached response
+     */
+    async clear() {
+      this._epoch++;
+      if (typeof this.store.clear === 'function') {
+        await this.store.clear();
+      }
+    }
+
+    /**
+     * Cache counters. size and evictions are null when the store does not report them.
+     * @returns {Object} { hits, misses, revalidations, invalidations, hitRate, size, evictions }
+     */
+    stats() {
+      const { hits, misses, revalidations } = this._stats;
+      const lookups = hits + misses + revalidations;
+      return {
+        ...this._stats,
+        hitRate: lookups === 0 ? 0 : (hits + revalidations) / lookups,
+        size: typeof this.store.size === 'number' ? this.store.size : null,
+        evictions: typeof this.store.evictions === 'number' ? this.store.evictions : null
+      };
+    }
+  }
+
+  /**
+   * Default share of the quota that may be used before quotaWarning is emitted
+   */
+  const DEFAULT_QUOTA_WARNING = 0.8;
+
+  /**
+   * Events that can be subscribed to with PlayPathSDK.on()
+   */
+  const SDK_EVENTS = ['quotaWarning', 'quotaExceeded'];
+
+  /**
+   * Prefixes of rate-limit headers: the common X-RateLimit-* and the IETF
+   * draft RateLimit-*
+   */
+  const RATE_LIMIT_PREFIXES = ['x-ratelimit-', 'ratelimit-'];
+
+  /**
+   * Numeric value of a header, ignoring parameters such as "100;w=60"
+   * @private
+   */
+  function headerNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * Read quota counters from rate-limit headers. Reset is delta seconds, or
+   * epoch seconds when the value is too large to be a delay.
+   * @private
+   */
+  function parseRateLimitHeaders(headers) {
+    for (const prefix of RATE_LIMIT_PREFIXES) {
+      const limit = headerNumber(headers.get(`${prefix}limit`));
+      const remaining = headerNumber(headers.get(`${prefix}remaining`));
+      if (limit === null || remaining === null) {
+        continue;
+      }
+      const reset = headerNumber(headers.get(`${prefix}reset`));
+      return {
+        usage: Math.max(0, limit - remaining),
+        limit,
+        resetAt: reset === null ? null : new Date(reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000)
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Latest quota counters reported by the API for one set of credentials, and
+   * the thresholds at which PlayPathSDK emits quota events
+   */
+  class QuotaTracker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.warningThreshold=0.8] - Share of the limit that triggers quotaWarning
+     * @param {boolean} [options.enforce=false] - Refuse chat requests locally once the limit is reached
+     */
+    constructor(options = {}) {
+      this.warningThreshold = options.warningThreshold ?? DEFAULT_QUOTA_WARNING;
+      this.enforce = options.enforce === true;
+      this._state = null;
+    }
+
+    /**
+     * Current quota, or null until a response has reported one
+     * @returns {Object|null} { usage, limit, remaining, ratio, exceeded, resetAt, updatedAt }
+     */
+    get() {
+      if (!this._state) {
+        return null;
+      }
+      const { usage, limit, resetAt, updatedAt } = this._state;
+      return {
+        usage,
+        limit,
+        remaining: Math.max(0, limit - usage),
+        ratio: limit > 0 ? usage / limit : 1,
+        exceeded: this.exceeded(),
+        resetAt,
+        updatedAt
+      };
+    }
+
+    /**
+     * Whether the limit has been reached and its reset time, if known, has not passed
+     * @returns {boolean}
+     */
+    exceeded() {
+      const state = this._state;
+      if (!state || state.usage < state.limit) {
+        return false;
+      }
+      return !state.resetAt || state.resetAt.getTime() > Date.now();
+    }
+
+    /**
+     * Record new counters
+     * @param {Object} counters - { usage, limit, resetAt }
+     * @returns {Array<string>} The events whose threshold was crossed
+     */
+    update(counters) {
+      const before = this.get();
+      this._state = {
+        usage: counters.usage,
+        limit: counters.limit,
+        resetAt: counters.resetAt || null,
+        updatedAt: new Date()
+      };
+      const after = this.get();
+
+      const events = [];
+      if (after.ratio >= this.warningThreshold && !(before && before.ratio >= this.warningThreshold)) {
+        events.push('quotaWarning');
+      }
+      if (after.exceeded && !(before && before.exceeded)) {
+        events.push('quotaExceeded');
+      }
+      return events;
+    }
+
+    /**
+     * Forget the recorded counters, e.g. after the plan was upgraded
+     */
+    reset() {
+      this._state = null;
+    }
+  }
+
+  /**
+   * Request priorities, highest first
+   */
+  const PRIORITIES = ['high', 'normal', 'low'];
+
+  /**
+   * Client-side throttle shared by every request of a client: a token bucket
+   * that allows rps requests per second with bursts of up to burst requests,
+   * and a cap of maxConcurrent requests in flight. Waiting requests are started
+   * by priority, then in arrival order.
+   */
+  class RateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.rps] - Requests started per second; unlimited when omitted
+     * @param {number} [options.burst] - Requests that may start at once after an idle period; defaults to rps
+     * @param {number} [options.maxConcurrent] - Requests in flight at a time; unlimited when omitted
+     */
+    constructor(options = {}) {
+      this.rps = options.rps > 0 ? options.rps : Infinity;
+      this.burst = options.burst > 0 ? options.burst : Math.max(1, Number.isFinite(this.rps) ? Math.ceil(this.rps) : 1);
+      this.maxConcurrent = options.maxConcurrent > 0 ? options.maxConcurrent : Infinity;
+      this._tokens = this.burst;
+      this._refilledAt = now();
+      this._queues = { high: [], normal: [], low: [] };
+      this._active = 0;
+      this._timer = null;
+      this._stats = { started: 0, waited: 0, totalWait: 0, maxWait: 0 };
+    }
+
+    /**
+     * Wait for a slot
+     * @param {string} [priority='normal'] - 'high', 'normal' or 'low'
+     * @param {AbortSignal} [signal] - Stops waiting and rejects with PlayPathAbortError
+     * @returns {Promise<Function>} Resolves with release(), to call once the request has finished
+     */
+    acquire(priority = 'normal', signal) {
+      if (!PRIORITIES.includes(priority)) {
+        return Promise.reject(new TypeError(`Unknown priority ${priority}; expected ${PRIORITIES.join(', ')}`));
+      }
+      if (signal && signal.aborted) {
+        return Promise.reject(new PlayPathAbortError());
+      }
+
+      return new Promise((resolve, reject) => {
+        const entry = { resolve, reject, queuedAt: now(), signal, onAbort: null };
+        if (signal) {
+          entry.onAbort = () => {
+            const queue = this._queues[priority];
+            queue.splice(queue.indexOf(entry), 1);
+            reject(new PlayPathAbortError());
+          };
+          signal.addEventListener('abort', entry.onAbort, { once: true });
+        }
+        this._queues[priority].push(entry);
+        this._drain();
+      });
+    }
+
+    /**
+     * Queue and wait counters. waited counts the requests that had to wait;
+     * averageWait and maxWait are in milliseconds over all started requests.
+     * @returns {Object} { queued, queuedByPriority, active, started, waited, averageWait, maxWait }
+     */
+    stats() {
+      const queuedByPriority = {};
+      PRIORITIES.forEach((priority) => {
+        queuedByPriority[priority] = this._queues[priority].length;
+      });
+      const { started, waited, totalWait, maxWait } = this._stats;
+      return {
+        queued: PRIORITIES.reduce((total, priority) => total + queuedByPriority[priority], 0),
+        queuedByPriority,
+        active: this._active,
+        started,
+        waited,
+        averageWait: started === 0 ? 0 : totalWait / started,
+        maxWait
+      };
+    }
+
+    /**
+     * Start as many waiting requests as tokens and free slots allow, and
+     * schedule another attempt for when the next token arrives
+     * @private
+     */
+    _drain() {
+      while (this._active < this.maxConcurrent) {
+        const priority = PRIORITIES.find(name => this._queues[name].length > 0);
+        if (!priority) {
+          return;
+        }
+
+        this._refill();
+        if (this._tokens < 1) {
+          if (!this._timer) {
+            this._timer = setTimeout(() => {
+              this._timer = null;
+              this._drain();
+            }, Math.ceil(((1 - this._tokens) / this.rps) * 1000));
+          }
+          return;
+        }
+
+        const entry = this._queues[priority].shift();
+        if (entry.signal) {
+          entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+        this._tokens -= 1;
+        this._active++;
+        this._record(now() - entry.queuedAt);
+
+        let released = false;
+        entry.resolve(() => {
+          if (!released) {
+            released = true;
+            this._active--;
+            this._drain();
+          }
+        });
+      }
+    }
+
+    /**
+     * @private
+     */
+    _refill() {
+      const time = now();
+      this._tokens = Number.isFinite(this.rps)
+        ? Math.min(this.burst, this._tokens + ((time - this._refilledAt) / 1000) * this.rps)
+        : this.burst;
+      this._refilledAt = time;
+    }
+
+    /**
+     * @private
+     */
+    _record(wait) {
+      this._stats.started++;
+      this._stats.totalWait += wait;
+      this._stats.maxWait = Math.max(this._stats.maxWait, wait);
+      // Sub-millisecond waits are the cost of queueing, not throttling
+      if (wait >= 1) {
+        this._stats.waited++;
+      }
+    }
+  }
+
+  /**
+   * A streaming chat reply. Iterate it with for await to receive
+   * { type: 'token', token }, { type: 'done', response } and
+   * { type: 'error', error } events, or await finalResponse() for the
+   * aggregated RagChatResponse.
+   */
+  class RagChatStream {
+    /**
+     * @param {Function} open - Starts the request for a signal, resolving to { response, release }
+     * @param {AbortSignal} [signal] - Caller signal that cancels the stream
+     * @param {Function} [onResponse] - Called with the aggregated response before the done event
+     */
+    constructor(open, signal, onResponse) {
+      this._onResponse = onResponse || null;
+      this._events = [];
+      this._waiters = [];
+      this._finished = false;
+      this._controller = typeof AbortController === 'function' ? new AbortController() : null;
+      this._detach = () => {};
+
+      if (signal && this._controller) {
+        if (signal.aborted) {
+          this._controller.abort();
+        } else {
+          // Removed once the stream finishes so long-lived signals don't pile up listeners
+          const onAbort = () => this._controller.abort();
+          signal.addEventListener('abort', onAbort, { once: true });
+          this._detach = () => signal.removeEventListener('abort', onAbort);
+        }
+      }
+
+      this._response = this._run(open);
+      // finalResponse() reports the failure; iterating consumers see an error event instead
+      this._response.catch(() => {});
+    }
+
+    /**
+     * Cancel the stream
+     */
+    abort() {
+      if (this._controller) {
+        this._controller.abort();
+      }
+    }
+
+    /**
+     * Wait for the stream to finish
+     * @returns {Promise<Object>} The aggregated chat response
+     */
+    finalResponse() {
+      return this._response;
+    }
+
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (this._events.length === 0) {
+          if (this._finished) {
+            return;
+          }
+          await new Promise(resolve => this._waiters.push(resolve));
+          continue;
+        }
+        yield this._events.shift();
+      }
+    }
+
+    /**
+     * @private
+     */
+    _emit(event) {
+      this._events.push(event);
+      this._waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /**
+     * @private
+     */
+    async _run(open) {
+      const signal = this._controller ? this._controller.signal : undefined;
+      let release = () => {};
+      let reply = '';
+      let result = null;
+
+      try {
+        const opened = await open(signal);
+        release = opened.release;
+
+        const decoder = new TextDecoder();
+        let failure = null;
+        const parser = createSSEParser(({ event, data }) => {
+          if (result || failure) {
+            return;
+          }
+          const json = parseEventData(data);
+
+          if (event === 'error') {
+            failure = new PlayPathError((json && json.error) || data || 'Stream error', null, json || data);
+          } else if (event === 'done' || data === '[DONE]' || (json && json.done === true)) {
+            result = {
+              reply: json && typeof json.reply === 'string' ? json.reply : reply,
+              ...(json && json.usage !== undefined ? { usage: json.usage } : {}),
+              ...(json && json.limit !== undefined ? { limit: json.limit } : {}),
+              sources: normalizeSources(json)
+            };
+          } else {
+            const token = json ? (json.token ?? json.delta ?? json.text ?? json.content ?? '') : data;
+            reply += token;
+            this._emit({ type: 'token', token });
+          }
+        });
+
+        for await (const chunk of readBody(opened.response.body)) {
+          if (signal && signal.aborted) {
+            throw new PlayPathAbortError();
+          }
+          parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+          if (result || failure) {
+            break;
+          }
+        }
+        parser.push(decoder.decode());
+        parser.end();
+
+        if (failure) {
+          throw failure;
+        }
+        // Servers that simply close the connection still produce a final response
+        result = result || { reply, sources: [] };
+        if (this._onResponse) {
+          this._onResponse(result);
+        }
+        this._emit({ type: 'done', response: result });
+        return result;
+      } catch (error) {
+        const failure = signal && signal.aborted
+          ? new PlayPathAbortError()
+          : error instanceof PlayPathError ? error : new NetworkError(error.message, error);
+        this._emit({ type: 'error', error: failure });
+        throw failure;
+      } finally {
+        release();
+        this._detach();
+        this._finished = true;
+        this._waiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+
+  /**
+   * EventSource-compatible view of a chat stream, returned by ragChatStream.
+   * Server events are dispatched to on<type> handlers and listeners as
+   * { type, data, lastEventId }; failures as { type: 'error', error }. Unlike
+   * EventSource it does not reconnect: the source closes after one reply.
+   */
+  class RagEventSource {
+    /**
+     * @param {Function} open - Starts the request for a signal, resolving to { response, release }
+     * @param {AbortSignal} [signal] - Caller signal that closes the source
+     */
+    constructor(open, signal) {
+      this.readyState = RagEventSource.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this._listeners = {};
+      this._controller = typeof AbortController === 'function' ? new AbortController() : null;
+      this._detach = () => {};
+
+      if (signal) {
+        if (signal.aborted) {
+          this.close();
+        } else {
+          // Removed once the stream ends, as for RagChatStream
+          const onAbort = () => this.close();
+          signal.addEventListener('abort', onAbort, { once: true });
+          this._detach = () => signal.removeEventListener('abort', onAbort);
+        }
+      }
+
+      // Dispatch starts on a later tick so handlers assigned after creation see every event
+      Promise.resolve().then(() => this._run(open));
+    }
+
+    addEventListener(type, listener) {
+      (this._listeners[type] = this._listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+      this._listeners[type] = (this._listeners[type] || []).filter(fn => fn !== listener);
+    }
+
+    /**
+     * Stop the stream. No further events are dispatched.
+     */
+    close() {
+      this.readyState = RagEventSource.CLOSED;
+      if (this._controller) {
+        this._controller.abort();
+      }
+    }
+
+    /**
+     * @private
+     */
+    _dispatch(event) {
+      const handler = this[`on${event.type}`];
+      if (typeof handler === 'function') {
+        handler.call(this, event);
+      }
+      (this._listeners[event.type] || []).slice().forEach(listener => listener.call(this, event));
+    }
+
+    /**
+     * @private
+     */
+    async _run(open) {
+      const closed = () => this.readyState === RagEventSource.CLOSED;
+      let release = () => {};
+
+      try {
+        if (closed()) {
+          return;
+        }
+        const opened = await open(this._controller ? this._controller.signal : undefined);
+        release = opened.release;
+        if (closed()) {
+          return;
+        }
+
+        this.readyState = RagEventSource.OPEN;
+        this._dispatch({ type: 'open' });
+
+        const decoder = new TextDecoder();
+        const parser = createSSEParser(({ event, data, id }) => {
+          if (!closed()) {
+            this._dispatch({ type: event, data, lastEventId: id });
+          }
+        });
+
+        for await (const chunk of readBody(opened.response.body)) {
+          if (closed()) {
+            return;
+          }
+          parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+        }
+        parser.push(decoder.decode());
+        parser.end();
+      } catch (error) {
+        if (!closed()) {
+          this._dispatch({
+            type: 'error',
+            error: error instanceof PlayPathError ? error : new NetworkError(error.message, error)
+          });
+        }
+      } finally {
+        release();
+        this._detach();
+        this.readyState = RagEventSource.CLOSED;
+      }
+    }
+  }
+
+  RagEventSource.CONNECTING = 0;
+  RagEventSource.OPEN = 1;
+  RagEventSource.CLOSED = 2;
+
+  /**
+   * Custom error class for PlayPath SDK
+   *
+   * Every error raised by the SDK extends this class. Request failures also
+   * record the HTTP method, the URL (with credentials redacted) and the
+   * server's request ID when available.
+   */
+  class PlayPathError extends Error {
+    constructor(message, status = null, data = null, details = {}) {
+      super(message);
+      this.name = 'PlayPathError';
+      this.status = status;
+      this.data = data;
+      this.method = details.method || null;
+      this.url = details.url || null;
+      this.requestId = details.requestId || null;
+      this.headers = details.headers || null;
+      if (details.cause !== undefined) {
+        this.cause = details.cause;
+      }
+    }
+  }
+
+  /**
+   * Thrown for 401 and 403 responses: a missing, invalid or expired API key
+   */
+  class AuthenticationError extends PlayPathError {
+    constructor(message, status, data, details) {
+      super(message, status, data, details);
+      this.name = 'AuthenticationError';
+    }
+  }
+
+  /**
+   * Thrown for 404 responses
+   */
+  class NotFoundError extends PlayPathError {
+    constructor(message, status, data, details) {
+      super(message, status, data, details);
+      this.name = 'NotFoundError';
+    }
+  }
+
+  /**
+   * Thrown for 429 responses. retryAfter is the delay the server asked for in
+   * milliseconds; usage and limit are the quota counters, when reported.
+   */
+  class RateLimitError extends PlayPathError {
+    constructor(message, status, data, details = {}) {
+      super(message, status, data, details);
+      this.name = 'RateLimitError';
+      this.retryAfter = details.retryAfter ?? null;
+      this.usage = data && data.usage !== undefined ? data.usage : null;
+      this.limit = data && data.limit !== undefined ? data.limit : null;
+    }
+  }
+
+  /**
+   * Thrown when a write is rejected because the item changed since the
+   * caller's copy (409 or 412). current holds the server's copy when known;
+   * conflicts lists the fields that both sides changed, when known.
+   */
+  class ConflictError extends PlayPathError {
+    constructor(message, status, data, details = {}) {
+      super(message, status, data, details);
+      this.name = 'ConflictError';
+      this.current = details.current ?? null;
+      this.conflicts = details.conflicts || [];
+    }
+  }
+
+  /**
+   * Thrown when the API rejects a request's input (422, or 400 with an
+   * errors list). errors holds every reported violation.
+   */
+  class ValidationError extends PlayPathError {
+    constructor(message, status, data, details) {
+      super(message, status, data, details);
+      this.name = 'ValidationError';
+      this.errors = data && Array.isArray(data.errors) ? data.errors : [];
+    }
+  }
+
+  /**
+   * Thrown when a method input fails client-side validation. errors lists
+   * every violation, in the same shape as the API's ErrorResponse.errors.
+   */
+  class PlayPathValidationError extends ValidationError {
+    constructor(errors) {
+      const message = errors.length === 1 ? errors[0] : `${errors.length} validation errors: ${errors.join('; ')}`;
+      super(message, 400, { error: message, errors });
+      this.name = 'PlayPathValidationError';
+    }
+  }
+
+  /**
+   * Thrown when the server could not be reached or the connection failed
+   */
+  class NetworkError extends PlayPathError {
+    constructor(message, cause, details) {
+      super(message, null, cause, { ...details, cause });
+      this.name = 'NetworkError';
+    }
+  }
+
+  /**
+   * Thrown when a response body could not be decoded. data holds the raw
+   * body text and cause the underlying parse error.
+   */
+  class ResponseParseError extends PlayPathError {
+    constructor(message, status, raw, details = {}) {
+      super(message, status, raw, details);
+      this.name = 'ResponseParseError';
+      this.cause = details.cause || null;
+    }
+  }
+
+  /**
+   * Thrown when a request is cancelled through its AbortSignal
+   */
+  class PlayPathAbortError extends PlayPathError {
+    constructor(message = 'Request aborted', details) {
+      super(message, null, null, details);
+      this.name = 'PlayPathAbortError';
+    }
+  }
+
+  /**
+   * Thrown when a request does not complete within its timeout
+   */
+  class PlayPathTimeoutError extends PlayPathError {
+    constructor(timeout, details) {
+      super(`Request timed out after ${timeout}ms`, null, null, details);
+      this.name = 'PlayPathTimeoutError';
+      this.timeout = timeout;
+    }
+  }
+
+  // Export for different environments
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js
+    module.exports = {
+      PlayPathSDK,
+      PlayPathError,
+      AuthenticationError,
+      NotFoundError,
+      RateLimitError,
+      ConflictError,
+      ValidationError,
+      PlayPathValidationError,
+      NetworkError,
+      ResponseParseError,
+      PlayPathAbortError,
+      PlayPathTimeoutError,
+      RagChatStream,
+      RagEventSource,
+      PlayPathItems,
+      ItemGraph,
+      QuotaTracker,
+      RateLimiter,
+      MemoryStorageAdapter,
+      LocalStorageAdapter,
+      FileStorageAdapter,
+      ResponseCache,
+      MemoryCacheStore,
+      createLoggingMiddleware,
+      createTimingMiddleware
+    };
+  } else if (typeof window !== 'undefined') {
+    // Browser: the client and its base error as globals, everything else on
+    // one namespace so the page's own globals are left alone
+    window.PlayPathSDK = PlayPathSDK;
+    window.PlayPathError = PlayPathError;
+    window.PlayPath = {
+      PlayPathSDK,
+      PlayPathError,
+      AuthenticationError,
+      NotFoundError,
+      RateLimitError,
+      ConflictError,
+      ValidationError,
+      PlayPathValidationError,
+      NetworkError,
+      ResponseParseError,
+      PlayPathAbortError,
+      PlayPathTimeoutError,
+      RagChatStream,
+      RagEventSource,
+      PlayPathItems,
+      ItemGraph,
+      QuotaTracker,
+      RateLimiter,
+      MemoryStorageAdapter,
+      LocalStorageAdapter,
+      ResponseCache,
+      MemoryCacheStore,
+      createLoggingMiddleware,
+      createTimingMiddleware
+    };
+  }
+})();
@@ -0,0 +1,1126 @@
+/**
+ * PlayPath SDK tests
+ *
+ * Requests go through config.fetch to a fake that records every call and
+ * answers from a handler, so no server is needed.
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const SDK_PATH = path.join(__dirname, '..', 'playpath-sdk.js');
+const {
+  PlayPathSDK,
+  PlayPathError,
+  NotFoundError,
+  RateLimitError,
+  ConflictError,
+  ValidationError,
+  PlayPathValidationError,
+  NetworkError,
+  ResponseParseError,
+  PlayPathAbortError,
+  PlayPathTimeoutError,
+  RateLimiter,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  ResponseCache,
+  MemoryCacheStore
+} = require(SDK_PATH);
+
+const BASE_URL = 'http://api.test';
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Minimal Headers: case-insensitive get() and forEach()
+ */
+class FakeHeaders {
+  constructor(init = {}) {
+    this._map = new Map();
+    Object.keys(init).forEach(name => this._map.set(name.toLowerCase(), String(init[name])));
+  }
+
+  get(name) {
+    const value = this._map.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  forEach(fn) {
+    this._map.forEach((value, name) => fn(value, name, this));
+  }
+}
+
+/**
+ * Build a fetch Response. Objects are sent as JSON, strings as plain text.
+ * body.cancelled records whether the SDK cancelled the body.
+ */
+function respond(status, body, headers = {}) {
+  const raw = body === undefined || body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const contentType = typeof body === 'string' ? 'text/plain' : 'application/json';
+  const chunks = [Buffer.from(raw)];
+  const stream = {
+    cancelled: false,
+    getReader: () => ({
+      read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }),
+      cancel: async () => {
+        stream.cancelled = true;
+      },
+      releaseLock: () => {}
+    }),
+    cancel: async () => {
+      stream.cancelled = true;
+    }
+  };
+
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: '',
+    headers: new FakeHeaders({ 'Content-Type': contentType, ...headers }),
+    text: async () => raw,
+    json: async () => JSON.parse(raw),
+    body: stream
+  };
+}
+
+/**
+ * Create a client whose requests are answered by handler(call, calls).
+ * Each call records method, path, headers and the parsed body.
+ */
+function client(handler, config = {}) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const call = {
+      method: init.method || 'GET',
+      url,
+      path: url.slice(BASE_URL.length),
+      headers: init.headers || {},
+      body: init.body ? JSON.parse(init.body) : undefined,
+      signal: init.signal
+    };
+    calls.push(call);
+    const result = await handler(call, calls);
+    return Array.isArray(result) ? respond(...result) : result;
+  };
+
+  const sdk = new PlayPathSDK({
+    baseUrl: BASE_URL,
+    apiKey: 'test-key',
+    fetch,
+    retry: { baseDelay: 1, jitter: false },
+    ...config
+  });
+  return { sdk, calls };
+}
+
+function header(call, name) {
+  const key = Object.keys(call.headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : call.headers[key];
+}
+
+/**
+ * Packaging
+ */
+
+test('script tags only add PlayPathSDK, PlayPathError and the PlayPath namespace', () => {
+  const context = { console, setTimeout, clearTimeout };
+  context.window = context;
+  vm.createContext(context);
+  const globals = () => Array.from(vm.runInContext('Object.getOwnPropertyNames(this)', context));
+  const before = globals();
+  vm.runInContext(fs.readFileSync(SDK_PATH, 'utf8'), context);
+
+  const added = globals().filter(name => !before.includes(name));
+  assert.deepStrictEqual(added.sort(), ['PlayPath', 'PlayPathError', 'PlayPathSDK']);
+  assert.strictEqual(context.PlayPath.PlayPathSDK, context.PlayPathSDK);
+  assert.strictEqual(vm.runInContext('typeof sleep', context), 'undefined');
+});
+
+/**
+ * Retries (user-001)
+ */
+
+test('retries transient failures with backoff', async () => {
+  const retries = [];
+  const { sdk, calls } = client((call, calls) => (calls.length < 3 ? [503, { error: 'busy' }] : [200, []]), {
+    retry: { baseDelay: 1, jitter: false, onRetry: info => retries.push(info) }
+  });
+
+  assert.deepStrictEqual(await sdk.getItems(), []);
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(retries.map(info => [info.attempt, info.status]), [[1, 503], [2, 503]]);
+});
+
+test('waits for Retry-After on 429', async () => {
+  const delays = [];
+  const { sdk } = client((call, calls) => (calls.length === 1
+    ? [429, { error: 'slow down' }, { 'Retry-After': '0' }]
+    : [200, []]), {
+    retry: { baseDelay: 1000, jitter: false, onRetry: info => delays.push(info.delay) }
+  });
+
+  await sdk.getItems();
+  assert.deepStrictEqual(delays, [0]);
+});
+
+test('does not retry chat requests unless asked', async () => {
+  const { sdk, calls } = client(() => [503, { error: 'busy' }]);
+
+  await assert.rejects(sdk.ragChat({ message: 'hi' }), error => error.status === 503);
+  assert.strictEqual(calls.length, 1);
+
+  await assert.rejects(sdk.ragChat({ message: 'hi' }, { retry: true }));
+  assert.strictEqual(calls.length, 4);
+});
+
+/**
+ * Timeouts and cancellation (user-002)
+ */
+
+/**
+ * A response that only settles when the request is aborted
+ */
+function hang(call) {
+  return new Promise((resolve, reject) => {
+    if (call.signal) {
+      call.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }
+  });
+}
+
+test('times out each attempt', async () => {
+  const { sdk, calls } = client(hang, { timeout: 20, retry: false });
+
+  await assert.rejects(sdk.getItem(1), error => error instanceof PlayPathTimeoutError && error.timeout === 20);
+  assert.strictEqual(calls.length, 1);
+});
+
+
+test('times out without AbortController', async () => {
+  const { sdk } = client(() => new Promise(() => {}), { timeout: 20, retry: false });
+  const NativeAbortController = global.AbortController;
+  delete global.AbortController;
+
+  try {
+    await assert.rejects(sdk.getItem(1), PlayPathTimeoutError);
+  } finally {
+    if (NativeAbortController) {
+      global.AbortController = NativeAbortController;
+    }
+  }
+});
+
+
+const HAS_ABORT_CONTROLLER = typeof AbortController === 'function';
+
+if (HAS_ABORT_CONTROLLER) {
+  test('cancels requests with an AbortSignal', async () => {
+    const { sdk, calls } = client(hang);
+    const controller = new AbortController();
+    const pending = sdk.getItem(1, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 5);
+
+    await assert.rejects(pending, PlayPathAbortError);
+    await assert.rejects(sdk.getItem(2, { signal: controller.signal }), PlayPathAbortError);
+    assert.strictEqual(calls.length, 1);
+  });
+}
+
+/**
+ * Streaming chat (user-003, user-004)
+ */
+
+/**
+ * Build a Server-Sent Events response from [event, data] pairs
+ */
+function sse(events) {
+  const raw = events
+    .map(([event, data]) => `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`)
+    .join('');
+  return respond(200, raw, { 'Content-Type': 'text/event-stream' });
+}
+
+test('streams chat tokens with the API key in a header', async () => {
+  const { sdk, calls } = client(() => sse([
+    [null, { token: 'Hel' }],
+    [null, { token: 'lo' }],
+    ['done', { reply: 'Hello' }]
+  ]));
+
+  const stream = sdk.streamRagChat({ message: 'hi' });
+  const tokens = [];
+  for await (const event of stream) {
+    if (event.type === 'token') {
+      tokens.push(event.token);
+    }
+  }
+  const response = await stream.finalResponse();
+
+  assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+  assert.strictEqual(response.reply, 'Hello');
+  assert.strictEqual(calls[0].method, 'POST');
+  assert.strictEqual(header(calls[0], 'X-Api-Key'), 'test-key');
+  assert.ok(!calls[0].url.includes('test-key'));
+});
+
+if (HAS_ABORT_CONTROLLER) {
+  test('stops listening to the caller signal once the stream ends', async () => {
+    const listeners = new Set();
+    const signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    const { sdk } = client(() => sse([['done', { reply: 'Hello' }]]));
+
+    const stream = sdk.streamRagChat({ message: 'hi' }, { signal });
+    assert.strictEqual(listeners.size, 1);
+    await stream.finalResponse();
+    assert.strictEqual(listeners.size, 0);
+  });
+}
+
+
+test('adds streamed replies to session history only when complete', async () => {
+  let fail = false;
+  const { sdk } = client(() => (fail
+    ? sse([['error', { error: 'model unavailable' }]])
+    : sse([[null, { token: 'Run ' }], [null, { token: 'drills' }], ['done', {}]])));
+  const session = sdk.createChatSession('Coach');
+  const partials = [];
+
+  const reply = await session.streamMessage('Warm-up?', { onToken: (token, partial) => partials.push(partial) });
+  assert.strictEqual(reply, 'Run drills');
+  assert.deepStrictEqual(partials, ['Run ', 'Run drills']);
+  assert.strictEqual(session.getHistory().length, 2);
+
+  fail = true;
+  await assert.rejects(session.streamMessage('Again?'), /model unavailable/);
+  assert.strictEqual(session.getHistory().length, 2);
+});
+
+/**
+ * Persistent sessions (user-005)
+ */
+
+test('saves sessions to a store and loads them back', async () => {
+  const store = new MemoryStorageAdapter();
+  const { sdk, calls } = client(() => [200, { reply: 'Sure' }], { sessionStore: store });
+  const session = sdk.createChatSession('Coach', { id: 'abc' });
+  await session.sendMessage('Plan a session');
+
+  const restored = await sdk.loadChatSession('abc');
+  assert.deepStrictEqual(restored.getHistory(), session.getHistory());
+
+  await restored.sendMessage('Shorter please');
+  assert.strictEqual(calls[1].body.system_prompt, 'Coach');
+  assert.strictEqual(calls[1].body.history.length, 2);
+  assert.strictEqual(await sdk.loadChatSession('missing'), null);
+});
+
+
+test('rejects sessions saved in an unknown format version', () => {
+  const { sdk } = client(() => [200, {}]);
+  const data = sdk.createChatSession('Coach').toJSON();
+
+  assert.strictEqual(sdk.restoreChatSession(JSON.stringify(data)).id, data.id);
+  assert.throws(() => sdk.restoreChatSession({ ...data, version: 2 }), /Unsupported chat session version 2/);
+});
+
+
+test('stores sessions in a JSON file', async () => {
+  const file = path.join(os.tmpdir(), `playpath-sessions-${process.pid}.json`);
+  try {
+    const store = new FileStorageAdapter(file);
+    await store.set('a', { history: [] });
+    assert.deepStrictEqual(await new FileStorageAdapter(file).get('a'), { history: [] });
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), null);
+  } finally {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+/**
+ * History trimming (user-006)
+ */
+
+function range(count, fn) {
+  return Array.from({ length: count }, (value, index) => fn(index));
+}
+
+test('trims history to a turn budget', () => {
+  const { sdk } = client(() => [200, {}]);
+  const history = range(6, i => ({ role: i % 2 ? 'assistant' : 'user', text: `turn ${i}` }));
+  const { history: kept, dropped } = sdk.trimChatHistory(history, { maxTurns: 2 });
+
+  assert.deepStrictEqual(kept.map(msg => msg.text), ['turn 4', 'turn 5']);
+  assert.strictEqual(dropped.length, 4);
+});
+
+test('summarizes turns that no longer fit', async () => {
+  const history = range(6, i => ({ role: i % 2 ? 'assistant' : 'user', text: `turn ${i}` }));
+  const { sdk, calls } = client(() => [200, { reply: 'short version' }]);
+  const session = sdk.createChatSession(null, { history, trim: { strategy: 'summarize', maxTurns: 3 } });
+
+  await session.sendMessage('next');
+  assert.strictEqual(calls.length, 2);
+  const sent = calls[1].body.history;
+  assert.strictEqual(sent.length, 3);
+  assert.strictEqual(sent[0].text, 'Summary of the earlier conversation: short version');
+});
+
+test('keeps the summary within the character budget', async () => {
+  const history = range(10, i => ({ role: i % 2 ? 'assistant' : 'user', text: String(i).repeat(50) }));
+  const { sdk, calls } = client(() => [200, { reply: 'x'.repeat(400) }]);
+  const session = sdk.createChatSession('Be brief.', { history, trim: { strategy: 'summarize', maxChars: 300 } });
+
+  await session.sendMessage('next');
+  const { history: sent, message, system_prompt } = calls[1].body;
+  const size = sent.reduce((sum, msg) => sum + msg.text.length, message.length + system_prompt.length);
+  assert.ok(sent[0].text.startsWith('Summary of the earlier conversation: '));
+  assert.ok(size <= 300, `sent ${size} characters`);
+});
+
+/**
+ * Item listing (user-007)
+ */
+
+test('lists items with filters and follows cursors', async () => {
+  const { sdk, calls } = client(call => (call.path.includes('cursor=')
+    ? [200, { items: [{ id: 3 }], next_cursor: null }]
+    : [200, { items: [{ id: 1 }, { id: 2 }], next_cursor: 'c2' }]));
+
+  const ids = [];
+  for await (const item of sdk.iterateItems({ tags: ['u12', 'defense'], sort: '-updated_at', limit: 2 })) {
+    ids.push(item.id);
+  }
+
+  assert.deepStrictEqual(ids, [1, 2, 3]);
+  assert.strictEqual(calls[0].path, '/api/items?limit=2&sort=-updated_at&tags=u12%2Cdefense');
+  assert.ok(calls[1].path.includes('cursor=c2'));
+});
+
+
+test('stops paging when the server ignores it', async () => {
+  const all = range(5, i => ({ id: i }));
+  const ignoresLimit = client(() => [200, all]);
+  const first = await ignoresLimit.sdk.getItemsPage({ limit: 3 });
+  assert.strictEqual(first.nextOffset, null);
+
+  const ignoresOffset = client(() => [200, all.slice(0, 3)]);
+  const ids = [];
+  for await (const item of ignoresOffset.sdk.iterateItems({ limit: 3 })) {
+    ids.push(item.id);
+  }
+  assert.deepStrictEqual(ids, [0, 1, 2]);
+  assert.strictEqual(ignoresOffset.calls.length, 2);
+});
+
+/**
+ * Bulk operations and import/export (user-008)
+ */
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('runs bulk creates concurrently and reports failures', async () => {
+  let active = 0;
+  let peak = 0;
+  const { sdk } = client(async (call) => {
+    active++;
+    peak = Math.max(peak, active);
+    await delay(2);
+    active--;
+    return call.body.title === 'bad' ? [422, { error: 'bad title' }] : [201, { id: 1, ...call.body }];
+  });
+  const items = range(6, i => ({ title: i === 4 ? 'bad' : `drill ${i}` }));
+  const progress = [];
+
+  const result = await sdk.items.bulkCreate(items, { concurrency: 2, onProgress: p => progress.push(p.completed) });
+
+  assert.strictEqual(result.total, 6);
+  assert.strictEqual(result.succeeded.length, 5);
+  assert.deepStrictEqual(result.failed.map(failure => failure.index), [4]);
+  assert.strictEqual(result.failed[0].error.message, 'bad title');
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(progress, [1, 2, 3, 4, 5, 6]);
+});
+
+
+test('upserts create items the server does not know', async () => {
+  const { sdk, calls } = client(call => (call.method === 'PUT' && call.path === '/api/items/9'
+    ? [404, { error: 'Not found' }]
+    : [200, { id: 9, ...call.body }]));
+
+  const result = await sdk.items.bulkUpsert([{ id: 9, title: 'a' }, { id: 3, title: 'b' }, { title: 'c' }]);
+  assert.strictEqual(result.failed.length, 0);
+  assert.deepStrictEqual(calls.map(call => `${call.method} ${call.path}`).sort(), [
+    'POST /api/items', 'POST /api/items', 'PUT /api/items/3', 'PUT /api/items/9'
+  ]);
+  assert.ok(calls.some(call => call.method === 'POST' && call.body.id === 9));
+});
+
+
+test('exports items as NDJSON and imports them back', async () => {
+  const source = client(() => [200, [{ id: 1, title: 'a' }, { id: 2, title: 'b' }]]);
+  let ndjson = '';
+  for await (const line of source.sdk.items.exportItems()) {
+    ndjson += line;
+  }
+  assert.strictEqual(ndjson, '{"id":1,"title":"a"}\n{"id":2,"title":"b"}\n');
+
+  const target = client(call => [200, { id: 1, ...call.body }]);
+  const result = await target.sdk.items.importItems(`${ndjson}\nnot json\n`);
+  assert.deepStrictEqual(result.succeeded.map(entry => entry.index), [0, 1]);
+  assert.deepStrictEqual(result.failed.map(entry => entry.index), [3]);
+  assert.deepStrictEqual(target.calls.map(call => `${call.method} ${call.path}`), ['PUT /api/items/1', 'PUT /api/items/2']);
+});
+
+test('imports large sources in batches as they are read', async () => {
+  const { sdk, calls } = client(call => [201, { id: calls.length, ...call.body }]);
+  let sentBeforeEnd = 0;
+  async function* lines() {
+    for (let i = 0; i < 150; i++) {
+      yield `{"title":"item ${i}"}\n`;
+    }
+    sentBeforeEnd = calls.length;
+  }
+
+  await assert.rejects(sdk.items.importItems(lines(), { mode: 'creat' }), PlayPathValidationError);
+  assert.strictEqual(calls.length, 0);
+
+  const result = await sdk.items.importItems(lines(), { mode: 'create' });
+  assert.strictEqual(result.total, 150);
+  assert.strictEqual(result.succeeded.length, 150);
+  assert.strictEqual(sentBeforeEnd, 100);
+});
+
+/**
+ * Document ingestion (user-009)
+ */
+
+test('ingests a document as tagged chunks', async () => {
+  const { sdk, calls } = client(call => [201, { id: calls.length, ...call.body }]);
+  const text = range(8, i => `Paragraph ${i} ${'about passing drills '.repeat(10)}`).join('\n\n');
+
+  const result = await sdk.items.ingest(text, { title: 'Passing', chunkSize: 500, chunkOverlap: 0, tags: ['u12'] });
+
+  assert.strictEqual(result.sourceTag, 'source:Passing');
+  assert.ok(result.chunks > 1);
+  assert.strictEqual(result.created.succeeded.length, result.chunks);
+  calls.forEach((call, index) => {
+    assert.ok(call.body.text.length <= 500);
+    assert.deepStrictEqual(call.body.tags, ['u12', 'source:Passing', `chunk:${index}`]);
+  });
+});
+
+test('splits sections longer than the chunk size', () => {
+  const { sdk } = client(() => [200, {}]);
+  const doc = `# Passing\n\n${'word '.repeat(200)}\n\n## Shooting\n${'x'.repeat(700)}`;
+
+  const chunks = sdk.items.chunk(doc, { chunkSize: 300, chunkOverlap: 0 });
+  assert.ok(chunks.length > 4);
+  chunks.forEach(chunk => assert.ok(chunk.text.length <= 300, `chunk of ${chunk.text.length} characters`));
+  assert.ok(chunks[0].text.startsWith('# Passing\n\nword'));
+  assert.deepStrictEqual([...new Set(chunks.map(chunk => chunk.heading))], ['Passing', 'Shooting']);
+});
+
+/**
+ * Client-side validation (user-010)
+ */
+
+test('validates inputs before sending', async () => {
+  const { sdk, calls } = client(() => [200, {}]);
+
+  await assert.rejects(sdk.createItem({ tags: 'u12' }), (error) => {
+    assert.ok(error instanceof PlayPathValidationError);
+    assert.strictEqual(error.errors.length, 2);
+    return true;
+  });
+  await assert.rejects(sdk.ragChat({}), PlayPathValidationError);
+  assert.strictEqual(calls.length, 0);
+
+  const unchecked = client(() => [200, {}], { validate: false });
+  await unchecked.sdk.createItem({ tags: 'u12' });
+  assert.strictEqual(unchecked.calls.length, 1);
+});
+
+/**
+ * Typed errors (user-011)
+ */
+
+test('maps error responses to typed errors with details', async () => {
+  const { sdk } = client((call) => {
+    if (call.path === '/api/items/1') {
+      return [404, { error: 'Item not found' }, { 'X-Request-Id': 'req-1' }];
+    }
+    if (call.path === '/api/items/2') {
+      return [422, { error: 'Invalid item', errors: ['title is too long'] }];
+    }
+    return [409, { error: 'Changed' }];
+  }, { retry: false });
+
+  await assert.rejects(sdk.getItem(1), (error) => {
+    assert.ok(error instanceof NotFoundError);
+    assert.strictEqual(error.message, 'Item not found');
+    assert.strictEqual(error.requestId, 'req-1');
+    assert.strictEqual(error.method, 'GET');
+    return true;
+  });
+  await assert.rejects(sdk.updateItem(2, { title: 'x' }), error => (
+    error instanceof ValidationError && error.errors[0] === 'title is too long'
+  ));
+  await assert.rejects(sdk.updateItem(3, { title: 'x' }), ConflictError);
+});
+
+test('keeps the underlying error as cause', async () => {
+  const offline = new TypeError('fetch failed');
+  const { sdk } = client(() => {
+    throw offline;
+  }, { retry: false });
+  await assert.rejects(sdk.getItem(1), error => error instanceof NetworkError && error.cause === offline);
+
+  const broken = new Error('middleware failed');
+  const other = client(() => [200, { id: 1 }], { retry: false });
+  other.sdk.use(async () => {
+    throw broken;
+  });
+  await assert.rejects(other.sdk.getItem(1), error => error instanceof PlayPathError && error.cause === broken);
+  assert.strictEqual(new PlayPathError('plain').cause, undefined);
+});
+
+/**
+ * Response decoding (user-012)
+ */
+
+test('handles empty, text and malformed bodies', async () => {
+  const { sdk } = client((call) => {
+    if (call.method === 'DELETE') {
+      return [204];
+    }
+    if (call.path === '/api/items/1') {
+      return [200, 'plain text'];
+    }
+    return [200, '{broken', { 'Content-Type': 'application/json' }];
+  }, { retry: false });
+
+  assert.strictEqual(await sdk.deleteItem(1), null);
+  assert.strictEqual(await sdk.getItem(1), 'plain text');
+  await assert.rejects(sdk.getItem(2), ResponseParseError);
+});
+
+/**
+ * Middleware and hooks (user-013)
+ */
+
+test('runs middleware and hooks around every request', async () => {
+  const order = [];
+  const { sdk, calls } = client(() => [200, { id: 1 }], {
+    onRequest: () => order.push('onRequest'),
+    onResponse: ctx => order.push(`onResponse ${ctx.response.status}`)
+  });
+  sdk.use(async (ctx, next) => {
+    order.push('outer');
+    ctx.headers['X-Trace'] = 'abc';
+    await next();
+    ctx.data = { ...ctx.data, seen: true };
+  });
+  sdk.use(async (ctx, next) => {
+    order.push('inner');
+    await next();
+  });
+
+  const item = await sdk.getItem(1);
+  assert.deepStrictEqual(order, ['onRequest', 'outer', 'inner', 'onResponse 200']);
+  assert.strictEqual(header(calls[0], 'X-Trace'), 'abc');
+  assert.strictEqual(item.seen, true);
+});
+
+test('reports failed requests to onError once', async () => {
+  const errors = [];
+  const { sdk } = client(() => [500, { error: 'boom' }], { onError: error => errors.push(error.status) });
+
+  await assert.rejects(sdk.getItem(1));
+  assert.deepStrictEqual(errors, [500]);
+});
+
+/**
+ * Node.js transport (user-014)
+ */
+
+test('sends requests through an http.Agent when one is configured', async () => {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ id: 5, path: req.url, key: req.headers['x-api-key'] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const agent = new http.Agent({ keepAlive: true });
+
+  try {
+    const sdk = new PlayPathSDK({ baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey: 'node-key', agent });
+    assert.deepStrictEqual(await sdk.getItem(5), { id: 5, path: '/api/items/5', key: 'node-key' });
+  } finally {
+    agent.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+/**
+ * Authentication (user-015)
+ */
+
+test('refreshes a bearer token rejected with 401', async () => {
+  let issued = 0;
+  const { sdk, calls } = client(call => (header(call, 'Authorization') === 'Bearer token-1'
+    ? [401, { error: 'expired' }]
+    : [200, { id: 1 }]), {
+    auth: { scheme: 'bearer', provider: async () => `token-${++issued}` }
+  });
+
+  assert.deepStrictEqual(await sdk.getItem(1), { id: 1 });
+  assert.deepStrictEqual(calls.map(call => header(call, 'Authorization')), ['Bearer token-1', 'Bearer token-2']);
+  assert.strictEqual(header(calls[1], 'X-Api-Key'), undefined);
+});
+
+test('cancels the rejected stream before retrying with a fresh token', async () => {
+  let issued = 0;
+  const rejected = respond(401, { error: 'expired' });
+  const { sdk } = client(call => (header(call, 'Authorization') === 'Bearer token-1'
+    ? rejected
+    : sse([['done', { reply: 'Hello' }]])), {
+    auth: { scheme: 'bearer', provider: async () => `token-${++issued}` }
+  });
+
+  const response = await sdk.streamRagChat({ message: 'hi' }).finalResponse();
+  assert.strictEqual(response.reply, 'Hello');
+  assert.strictEqual(rejected.body.cancelled, true);
+});
+
+test('stops listening to the caller signal once the event source closes', async () => {
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  };
+  const { sdk } = client(() => sse([['done', { reply: 'Hello' }]]));
+
+  const source = sdk.ragChatStream({ message: 'hi' }, { signal });
+  assert.strictEqual(listeners.size, 1);
+  await new Promise(resolve => source.addEventListener('done', resolve));
+  await delay(5);
+  assert.strictEqual(source.readyState, source.constructor.CLOSED);
+  assert.strictEqual(listeners.size, 0);
+});
+
+test('rotates the API key for later requests', async () => {
+  const { sdk, calls } = client(() => [200, []]);
+  await sdk.getItems();
+  sdk.setApiKey('rotated');
+  await sdk.getItems();
+
+  assert.deepStrictEqual(calls.map(call => header(call, 'X-Api-Key')), ['test-key', 'rotated']);
+});
+
+/**
+ * Scoped clients (user-016)
+ */
+
+test('scopes clients per tenant without touching the parent', async () => {
+  const { sdk, calls } = client(() => [200, []]);
+  const tenant = sdk.withOptions({ apiKey: 'tenant-key', headers: { 'X-Tenant': 't1' } });
+
+  await tenant.getItems();
+  await sdk.getItems();
+  assert.strictEqual(header(calls[0], 'X-Api-Key'), 'tenant-key');
+  assert.strictEqual(header(calls[0], 'X-Tenant'), 't1');
+  assert.strictEqual(header(calls[1], 'X-Api-Key'), 'test-key');
+  assert.strictEqual(header(calls[1], 'X-Tenant'), undefined);
+
+  assert.throws(() => tenant.setApiKey('other'), PlayPathError);
+  assert.throws(() => sdk.withOptions({ retry: false }), TypeError);
+});
+
+/**
+ * Response cache (user-017)
+ */
+
+test('caches item reads until the item is written', async () => {
+  const { sdk, calls } = client(call => [200, { id: 1, title: call.method }], { cache: true });
+
+  await sdk.getItem(1);
+  await sdk.getItem(1);
+  assert.strictEqual(calls.length, 1);
+
+  await sdk.updateItem(1, { title: 'new' });
+  await sdk.getItem(1);
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(sdk.cache.stats().hits, 1);
+});
+
+test('revalidates expired entries with their ETag', async () => {
+  const { sdk, calls } = client(call => (header(call, 'If-None-Match') === '"v1"'
+    ? [304]
+    : [200, { id: 1 }, { ETag: '"v1"' }]), { cache: { ttl: 0 } });
+
+  await sdk.getItem(1);
+  assert.deepStrictEqual(await sdk.getItem(1), { id: 1 });
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(sdk.cache.stats().revalidations, 1);
+});
+
+
+test('keeps cached responses apart per tenant header', async () => {
+  const { sdk, calls } = client(call => [200, { tenant: header(call, 'X-Tenant') }], { cache: true });
+
+test('keeps credentials out of cache keys', async () => {
+  const keys = [];
+  const store = new MemoryCacheStore();
+  const set = store.set.bind(store);
+  store.set = (key, entry) => {
+    keys.push(key);
+    return set(key, entry);
+  };
+  const { sdk } = client(() => [200, { id: 1 }], { apiKey: 'secret-key', cache: new ResponseCache({ store }) });
+
+  await sdk.getItem(1);
+  await sdk.withOptions({ apiKey: 'other-key' }).getItem(1);
+  assert.strictEqual(keys.length, 2);
+  assert.notStrictEqual(keys[0].split('|')[1], keys[1].split('|')[1]);
+  keys.forEach(key => assert.ok(!key.includes('secret-key') && !key.includes('other-key'), key));
+});
+
+  const a = await sdk.withOptions({ headers: { 'X-Tenant': 'a' } }).getItem(1);
+  const b = await sdk.withOptions({ headers: { 'X-Tenant': 'b' } }).getItem(1);
+  assert.deepStrictEqual([a.tenant, b.tenant], ['a', 'b']);
+  assert.strictEqual(calls.length, 2);
+});
+
+/**
+ * Request sharing and batching (user-018)
+ */
+
+test('shares concurrent identical reads', async () => {
+  const { sdk, calls } = client(async () => {
+    await delay(2);
+    return [200, { id: 1 }];
+  });
+
+  const [a, b] = await Promise.all([sdk.getItem(1), sdk.getItem(1)]);
+  assert.deepStrictEqual(a, b);
+  assert.notStrictEqual(a, b);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('batches item lookups and falls back without a batch endpoint', async () => {
+  const batching = client(call => [200, { items: call.body.ids.filter(id => id !== 3).map(id => ({ id })) }]);
+  const [first, second] = await Promise.all([
+    batching.sdk.getItemsByIds([1, 2]),
+    batching.sdk.getItemsByIds([2, 3])
+  ]);
+  assert.deepStrictEqual(first, [{ id: 1 }, { id: 2 }]);
+  assert.deepStrictEqual(second, [{ id: 2 }, null]);
+  assert.strictEqual(batching.calls.length, 1);
+  assert.deepStrictEqual(batching.calls[0].body, { ids: [1, 2, 3] });
+
+  const fallback = client(call => (call.method === 'POST'
+    ? [404, { error: 'Not found' }]
+    : call.path === '/api/items/2' ? [404, { error: 'Not found' }] : [200, { id: 1 }]));
+  assert.deepStrictEqual(await fallback.sdk.getItemsByIds([1, 2]), [{ id: 1 }, null]);
+  await fallback.sdk.getItemsByIds([1]);
+  assert.deepStrictEqual(fallback.calls.map(call => call.method), ['POST', 'GET', 'GET', 'GET']);
+});
+
+
+test('does not share reads between tenants', async () => {
+  const { sdk, calls } = client(async (call) => {
+    await delay(2);
+    return [200, { tenant: header(call, 'X-Tenant') }];
+  });
+
+  const [a, b] = await Promise.all([
+    sdk.withOptions({ headers: { 'X-Tenant': 'a' } }).getItem(1),
+    sdk.withOptions({ headers: { 'X-Tenant': 'b' } }).getItem(1)
+  ]);
+  assert.deepStrictEqual([a.tenant, b.tenant], ['a', 'b']);
+  assert.strictEqual(calls.length, 2);
+});
+
+/**
+ * Optimistic concurrency (user-019)
+ */
+
+test('sends preconditions with updates', async () => {
+  const { sdk, calls } = client(() => [200, { id: 1 }]);
+  await sdk.updateItem(1, { title: 'x' }, { expectedVersion: 4, ifUnmodifiedSince: '2024-05-01T10:00:00Z' });
+
+  assert.strictEqual(header(calls[0], 'If-Match'), '"4"');
+  assert.strictEqual(header(calls[0], 'If-Unmodified-Since'), new Date('2024-05-01T10:00:00Z').toUTCString());
+});
+
+test('attaches the server copy to conflicts', async () => {
+  const { sdk } = client(call => (call.method === 'GET'
+    ? [200, { id: 1, title: 'theirs' }]
+    : [412, { error: 'Precondition failed' }]));
+
+  await assert.rejects(sdk.updateItem(1, { title: 'mine' }, { expectedVersion: 1 }), error => (
+    error instanceof ConflictError && error.current.title === 'theirs'
+  ));
+});
+
+
+test('patches on top of concurrent edits with one read per conflict', async () => {
+  let item = { id: 1, title: 'A', text: 'mine', tags: [] };
+  let version = 1;
+  let conflicted = false;
+  const { sdk, calls } = client((call) => {
+    if (call.method === 'GET') {
+      return [200, item, { ETag: `"v${version}"` }];
+    }
+    if (!conflicted) {
+      conflicted = true;
+      version++;
+      item = { ...item, text: 'theirs' };
+      return [412, { error: 'Precondition failed' }];
+    }
+    item = { ...item, ...call.body };
+    return [200, item];
+  });
+
+  const patched = await sdk.patchItem(1, { title: 'B' });
+  assert.deepStrictEqual([patched.title, patched.text], ['B', 'theirs']);
+  assert.deepStrictEqual(calls.map(call => call.method), ['GET', 'PUT', 'GET', 'PUT']);
+  assert.strictEqual(header(calls[3], 'If-Match'), '"v2"');
+});
+
+
+test('reports fields changed on both sides as conflicts', async () => {
+  let version = 1;
+  const { sdk } = client((call) => {
+    if (call.method === 'GET') {
+      return [200, { id: 1, title: version === 1 ? 'A' : 'Theirs', version }];
+    }
+    version++;
+    return [409, { error: 'Conflict' }];
+  });
+
+  await assert.rejects(sdk.patchItem(1, { title: 'Mine' }), (error) => {
+    assert.ok(error instanceof ConflictError);
+    assert.deepStrictEqual(error.conflicts, ['title']);
+    assert.strictEqual(error.current.title, 'Theirs');
+    return true;
+  });
+});
+
+
+test('refuses to patch items without a version', async () => {
+  const { sdk, calls } = client(() => [200, { id: 1, title: 'A' }]);
+
+  await assert.rejects(sdk.patchItem(1, { title: 'B' }), /Cannot patch item 1 safely/);
+  assert.deepStrictEqual(calls.map(call => call.method), ['GET']);
+});
+
+test('falls back to If-Unmodified-Since for weak ETags', async () => {
+  const { sdk, calls } = client(call => (call.method === 'GET'
+    ? [200, { id: 1, title: 'A', updated_at: '2024-05-01T10:00:00Z' }, { ETag: 'W/"v1"' }]
+    : [200, { id: 1, ...call.body }]));
+
+  await assert.rejects(sdk.updateItem(1, { title: 'x' }, { expectedVersion: 'W/"v1"' }), PlayPathValidationError);
+  assert.strictEqual(calls.length, 0);
+
+  await sdk.patchItem(1, { title: 'B' });
+  assert.strictEqual(header(calls[1], 'If-Match'), undefined);
+  assert.strictEqual(header(calls[1], 'If-Unmodified-Since'), new Date('2024-05-01T10:00:00Z').toUTCString());
+});
+
+/**
+ * Neighbor graph traversal (user-020)
+ */
+
+test('traverses the neighbor graph breadth-first', async () => {
+  const neighbors = { 1: [2, 3], 2: [1, 4], 3: [4], 4: [5] };
+  const { sdk, calls } = client((call) => {
+    const id = Number(call.path.split('/').pop());
+    return [200, { id, neighbors: (neighbors[id] || []).map(n => ({ id: n, score: 0.5 })) }];
+  });
+
+  const graph = await sdk.items.traverse(1, { depth: 2 });
+  assert.deepStrictEqual([...graph.nodes.keys()].sort(), ['1', '2', '3', '4']);
+  assert.deepStrictEqual(graph.shortestPath(1, 4), [1, 2, 4].map(String).map(id => graph.get(id)));
+  assert.strictEqual(calls.length, 3);
+  assert.ok(graph.toDOT().startsWith('digraph'));
+});
+
+/**
+ * Quota tracking (user-021)
+ */
+
+test('tracks quota and enforces it when asked', async () => {
+  const { sdk, calls } = client(() => [200, { reply: 'ok', usage: 10, limit: 10 }], { quota: { enforce: true } });
+  const events = [];
+  sdk.on('quotaWarning', () => events.push('quotaWarning'));
+  sdk.on('quotaExceeded', quota => events.push(`quotaExceeded ${quota.remaining}`));
+
+  await sdk.ragChat({ message: 'hi' });
+  assert.deepStrictEqual(events, ['quotaWarning', 'quotaExceeded 0']);
+  assert.strictEqual(sdk.getQuota().ratio, 1);
+
+  await assert.rejects(sdk.ragChat({ message: 'again' }), RateLimitError);
+  assert.strictEqual(calls.length, 1);
+
+  sdk.resetQuota();
+  await sdk.ragChat({ message: 'again' });
+  assert.strictEqual(calls.length, 2);
+});
+
+/**
+ * Rate limiting (user-022)
+ */
+
+test('limits requests in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const { sdk } = client(async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await delay(2);
+    active--;
+    return [200, { id: 1 }];
+  }, { rateLimit: { maxConcurrent: 2 }, dedupe: false });
+
+  await Promise.all(range(5, i => sdk.getItem(i)));
+  assert.strictEqual(peak, 2);
+});
+
+test('starts waiting requests by priority', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  const order = [];
+  const release = await limiter.acquire();
+
+  const waiting = ['low', 'normal', 'high'].map(priority => limiter.acquire(priority).then((next) => {
+    order.push(priority);
+    next();
+  }));
+  release();
+  await Promise.all(waiting);
+
+  assert.deepStrictEqual(order, ['high', 'normal', 'low']);
+});
+
+/**
+ * Sources (user-023)
+ */
+
+test('normalizes cited sources and resolves their items', async () => {
+  const { sdk } = client((call) => {
+    if (call.method === 'POST') {
+      return [200, { reply: 'See drills', citations: [{ item_id: 1, excerpt: 'Pass', similarity: 0.9 }, 2] }];
+    }
+    return call.path === '/api/items/1' ? [200, { id: 1, title: 'Passing' }] : [404, { error: 'Not found' }];
+  });
+
+  const response = await sdk.ragChat({ message: 'drills?' });
+  assert.deepStrictEqual(response.sources[0], { id: 1, title: null, url: null, snippet: 'Pass', score: 0.9 });
+
+  const resolved = await sdk.resolveSources(response);
+  assert.deepStrictEqual(resolved.map(source => source.item), [{ id: 1, title: 'Passing' }, null]);
+});
+
+test('reports sources at the end of a stream', async () => {
+  const { sdk } = client(() => sse([[null, { token: 'See' }], ['done', { reply: 'See', sources: [7] }]]));
+
+  const response = await sdk.streamRagChat({ message: 'drills?' }).finalResponse();
+  assert.deepStrictEqual(response.sources.map(source => source.id), [7]);
+});
+
+/**
+ * Retrieval filters (user-024)
+ */
+
+test('sends retrieval filters and validates them', async () => {
+  const { sdk, calls } = client(() => [200, { reply: 'ok' }]);
+
+  await sdk.ragChat({ message: 'hi', filter: { includeTags: ['u12'], states: 'published', topK: 3 } });
+  assert.deepStrictEqual(calls[0].body.filter, { include_tags: ['u12'], states: ['published'], top_k: 3 });
+
+  await assert.rejects(sdk.ragChat({ message: 'hi', filter: { tag: 'u12' } }), PlayPathValidationError);
+
+  const session = sdk.createChatSession(null, { filter: { includeTags: ['u12'] } });
+  await session.sendMessage('a', { filter: { excludeTags: ['advanced'] } });
+  await session.sendMessage('b', { filter: null });
+  assert.deepStrictEqual(calls[1].body.filter, { include_tags: ['u12'], exclude_tags: ['advanced'] });
+  assert.strictEqual(calls[2].body.filter, undefined);
+});
+
+/**
+ * Search (user-025)
+ */
+
+test('searches with the API search endpoint', async () => {
+  const { sdk, calls } = client(() => [200, { results: [{ item: { id: 1 }, score: 0.9 }, { item: { id: 2 }, score: 0.2 }] }]);
+
+  const results = await sdk.searchItems('passing', { topK: 5, minScore: 0.5 });
+  assert.deepStrictEqual(results, [{ item: { id: 1 }, score: 0.9 }]);
+  assert.strictEqual(calls[0].path, '/api/items/search');
+  assert.deepStrictEqual(calls[0].body, { query: 'passing', top_k: 5, min_score: 0.5 });
+});
+
+test('ranks items locally when the API has no search endpoint', async () => {
+  const items = [
+    { id: 1, title: 'Passing drill', text: 'short passing in pairs' },
+    { id: 2, title: 'Shooting', text: 'finishing practice' }
+  ];
+  const { sdk } = client(call => (call.path === '/api/items/search' ? [404, { error: 'Not found' }] : [200, items]));
+
+  const results = await sdk.searchItems('passing');
+  assert.deepStrictEqual(results.map(result => result.item.id), [1]);
+  assert.strictEqual(results[0].score, 1);
+});
+
+
+test('filters tags locally and reuses the listing between fallback searches', async () => {
+  const items = [
+    { id: 1, title: 'Passing drill', text: 'short passing in pairs', tags: ['u12'] },
+    { id: 2, title: 'Shooting', text: 'finishing practice', tags: ['u12'] },
+    { id: 3, title: 'Passing squares', text: 'passing under pressure', tags: ['u16'] }
+  ];
+  const { sdk, calls } = client(call => (call.path === '/api/items/search' ? [404, { error: 'Not found' }] : [200, items]));
+
+  const results = await sdk.searchItems('passing', { tags: ['u12'] });
+  assert.deepStrictEqual(results.map(result => result.item.id), [1]);
+
+  await sdk.searchItems('shooting');
+  assert.deepStrictEqual(calls.map(call => call.path), ['/api/items/search', '/api/items?limit=100']);
+});
+
+(async () => {
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}`);
+      console.log(error.stack.replace(/^/gm, '    '));
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+})();